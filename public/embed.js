@@ -0,0 +1,50 @@
+// --- CALENDÁRIO FISCAL EM OUTROS SITES ---
+// Uso:
+//   <script src="https://SEU-DOMINIO/embed.js" defer></script>
+//   <calendario-fiscal esfera="Federal" regime="Simples Nacional" tema="escuro"></calendario-fiscal>
+// O elemento cria um iframe para embed.html com os atributos na URL e ajusta a
+// altura do iframe ao conteúdo. Atributos: esfera, regime, uf, busca, visao
+// (mes, semana, agenda, ano), data (AAAA-MM-DD) e tema (claro, escuro, auto).
+(() => {
+    const ATTRIBUTES = ['esfera', 'regime', 'uf', 'busca', 'visao', 'data', 'tema'];
+    const HEIGHT_MESSAGE = 'calendario-fiscal:altura'; // EMBED_HEIGHT_MESSAGE em src/lib/embed.js
+    const embedUrl = new URL('embed.html', document.currentScript.src);
+
+    class CalendarioFiscalElement extends HTMLElement {
+        static get observedAttributes() { return ATTRIBUTES; }
+
+        constructor() {
+            super();
+            this.iframe = document.createElement('iframe');
+            this.iframe.title = this.getAttribute('title') || 'Calendário Fiscal';
+            this.iframe.loading = 'lazy';
+            this.iframe.style.cssText = 'display:block;width:100%;height:640px;border:0;';
+            this.handleMessage = (event) => {
+                if (event.origin !== embedUrl.origin || event.source !== this.iframe.contentWindow || event.data?.type !== HEIGHT_MESSAGE) { return; }
+                this.iframe.style.height = `${Math.ceil(event.data.height)}px`;
+            };
+        }
+
+        connectedCallback() {
+            this.updateSource();
+            if (!this.iframe.isConnected) { this.appendChild(this.iframe); }
+            window.addEventListener('message', this.handleMessage);
+        }
+
+        disconnectedCallback() {
+            window.removeEventListener('message', this.handleMessage);
+        }
+
+        attributeChangedCallback() {
+            if (this.isConnected) { this.updateSource(); }
+        }
+
+        updateSource() {
+            const url = new URL(embedUrl);
+            ATTRIBUTES.forEach(name => { if (this.getAttribute(name)) { url.searchParams.set(name, this.getAttribute(name)); } });
+            if (this.iframe.src !== url.href) { this.iframe.src = url.href; }
+        }
+    }
+
+    if (!customElements.get('calendario-fiscal')) { customElements.define('calendario-fiscal', CalendarioFiscalElement); }
+})();
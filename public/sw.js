@@ -0,0 +1,80 @@
+// --- SERVICE WORKER DO CALENDÁRIO FISCAL ---
+// Mantém o app abrindo sem conexão. Os dados das obrigações não passam por
+// aqui: o Firestore é de outra origem e o último retrato dos dados fica no
+// IndexedDB (src/lib/offlineCache.js).
+// Altere CACHE_VERSION para forçar a limpeza dos caches antigos.
+const CACHE_VERSION = 'v2';
+const CACHE_NAME = `calendario-fiscal-${CACHE_VERSION}`;
+const APP_SHELL = ['/', '/index.html', '/manifest.webmanifest', '/icon-192.png', '/icon-512.png'];
+
+// JS e CSS do build (nomes com hash) usados pelo index.html, lidos do manifesto
+// gerado pelo Vite (build.manifest em vite.config.js). Assim o app abre sem
+// conexão já depois da primeira visita. Em desenvolvimento não há manifesto.
+async function getBuildAssets() {
+    try {
+        const response = await fetch('/asset-manifest.json', { cache: 'no-store' });
+        if (!response.ok) { return []; }
+        const manifest = await response.json();
+        const files = new Set();
+        const visit = (key) => {
+            const chunk = manifest[key];
+            if (!chunk || files.has(`/${chunk.file}`)) { return; }
+            files.add(`/${chunk.file}`);
+            [...(chunk.css || []), ...(chunk.assets || [])].forEach(file => files.add(`/${file}`));
+            (chunk.imports || []).forEach(visit);
+        };
+        visit('index.html');
+        return [...files];
+    } catch {
+        return [];
+    }
+}
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(async cache => cache.addAll([...APP_SHELL, ...await getBuildAssets()]))
+            .then(() => self.skipWaiting()),
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key.startsWith('calendario-fiscal-') && key !== CACHE_NAME).map(key => caches.delete(key))))
+            .then(() => self.clients.claim()),
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin) { return; }
+
+    // Navegação: rede primeiro (para pegar novas versões), a página em cache sem
+    // conexão. O calendário incorporável tem página própria e não substitui o app.
+    if (request.mode === 'navigate') {
+        const page = url.pathname === '/embed.html' ? '/embed.html' : '/index.html';
+        event.respondWith(
+            fetch(request)
+                .then(response => {
+                    const copy = response.clone();
+                    caches.open(CACHE_NAME).then(cache => cache.put(page, copy));
+                    return response;
+                })
+                .catch(() => caches.match(page)),
+        );
+        return;
+    }
+
+    // Demais arquivos (JS/CSS com hash no nome, ícones): cache primeiro.
+    event.respondWith(
+        caches.match(request).then(cached => cached || fetch(request).then(response => {
+            if (response.ok) {
+                const copy = response.clone();
+                caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+            }
+            return response;
+        })),
+    );
+});
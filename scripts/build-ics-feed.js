@@ -0,0 +1,52 @@
+// --- GERAÇÃO DO FEED .ics ESTÁTICO ---
+// Lê as obrigações do Firestore (ou de um arquivo JSON) e grava um arquivo
+// .ics que pode ser publicado e assinado por URL no Outlook/Google Agenda.
+//
+// Uso:
+//   FIREBASE_CONFIG='{"apiKey":...}' APP_ID=meu-app node scripts/build-ics-feed.js
+//   node scripts/build-ics-feed.js --input obrigacoes.json --output dist/calendario-fiscal.ics --uf SP
+//
+// Opções: --input, --output, --esfera, --regime, --uf, --busca.
+// Com FIRESTORE_EMULATOR_HOST definido, a leitura é feita no emulador local.
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import { dirname } from 'node:path';
+import { parseArgs } from 'node:util';
+import { collection, getDocs } from 'firebase/firestore';
+import { connectToFirebase } from './lib/firebase.js';
+import { buildICalendar, getDefaultExportRange } from '../src/lib/ical.js';
+import { filterObligations, parseFiltersFromSearch } from '../src/lib/filters.js';
+import { isDeleted } from '../src/lib/audit.js';
+
+const { values: options } = parseArgs({
+    options: {
+        input: { type: 'string' },
+        output: { type: 'string', default: 'dist/calendario-fiscal.ics' },
+        esfera: { type: 'string' },
+        regime: { type: 'string' },
+        uf: { type: 'string' },
+        busca: { type: 'string' },
+    },
+});
+
+async function loadFromFirestore() {
+    const { db, paths } = await connectToFirebase();
+    const snapshot = await getDocs(collection(db, paths.obligations));
+    return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })).filter(ob => !isDeleted(ob));
+}
+
+async function main() {
+    const obligations = options.input ? JSON.parse(await readFile(options.input, 'utf8')) : await loadFromFirestore();
+    // Reaproveita os mesmos nomes de filtro usados na URL da view pública.
+    const search = new URLSearchParams(Object.entries(options).filter(([key, value]) => value && ['esfera', 'regime', 'uf', 'busca'].includes(key)));
+    const filtered = filterObligations(obligations, parseFiltersFromSearch(search.toString()));
+
+    const ics = buildICalendar(filtered, getDefaultExportRange());
+    await mkdir(dirname(options.output), { recursive: true });
+    await writeFile(options.output, ics, 'utf8');
+    console.log(`Feed gerado em ${options.output} com ${filtered.length} obrigação(ões).`);
+}
+
+main().then(() => process.exit(0)).catch((error) => {
+    console.error('Erro ao gerar o feed .ics:', error);
+    process.exit(1);
+});
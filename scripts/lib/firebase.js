@@ -0,0 +1,49 @@
+// --- CONEXÃO COM O FIREBASE PARA OS SCRIPTS NODE ---
+// Usa o mesmo SDK do app. A configuração vem de FIREBASE_CONFIG (JSON) e APP_ID;
+// com FIRESTORE_EMULATOR_HOST / FIREBASE_AUTH_EMULATOR_HOST definidos, os
+// emuladores locais são usados e a configuração passa a ser opcional.
+import { initializeApp } from 'firebase/app';
+import { getFirestore, connectFirestoreEmulator } from 'firebase/firestore';
+import { getAuth, connectAuthEmulator, signInWithEmailAndPassword } from 'firebase/auth';
+
+export function getCollectionPaths(appId) {
+    return {
+        obligations: `artifacts/${appId}/public/data/obligations`,
+        subscribers: `artifacts/${appId}/public/data/subscribers`,
+        reminderLog: `artifacts/${appId}/reminderLog`,
+    };
+}
+
+// `signIn: true` autentica com ADMIN_EMAIL/ADMIN_PASSWORD, necessário para
+// ler os inscritos e gravar o registro de envios (ver firestore.rules).
+export async function connectToFirebase({ signIn = false } = {}) {
+    const appId = process.env.APP_ID || 'default-app-id';
+    const firestoreEmulator = process.env.FIRESTORE_EMULATOR_HOST;
+    const authEmulator = process.env.FIREBASE_AUTH_EMULATOR_HOST;
+
+    let config = process.env.FIREBASE_CONFIG ? JSON.parse(process.env.FIREBASE_CONFIG) : null;
+    if (!config && firestoreEmulator) {
+        config = { apiKey: 'demo-api-key', projectId: 'demo-calendario-fiscal' };
+    }
+    if (!config) {
+        throw new Error('Defina FIREBASE_CONFIG ou FIRESTORE_EMULATOR_HOST.');
+    }
+
+    const app = initializeApp(config);
+    const db = getFirestore(app);
+    if (firestoreEmulator) {
+        const [host, port] = firestoreEmulator.split(':');
+        connectFirestoreEmulator(db, host, Number(port));
+    }
+
+    if (signIn) {
+        if (!process.env.ADMIN_EMAIL || !process.env.ADMIN_PASSWORD) {
+            throw new Error('Defina ADMIN_EMAIL e ADMIN_PASSWORD de uma conta administradora.');
+        }
+        const auth = getAuth(app);
+        if (authEmulator) { connectAuthEmulator(auth, `http://${authEmulator}`, { disableWarnings: true }); }
+        await signInWithEmailAndPassword(auth, process.env.ADMIN_EMAIL, process.env.ADMIN_PASSWORD);
+    }
+
+    return { db, appId, paths: getCollectionPaths(appId) };
+}
@@ -0,0 +1,88 @@
+// --- SELEÇÃO E TEXTO DOS LEMBRETES POR E-MAIL ---
+import { addDays, parseISODate, toISODate } from '../../src/lib/dates.js';
+import { expandObligations } from '../../src/lib/recurrence.js';
+
+export const DEFAULT_DAYS_IN_ADVANCE = 1;
+
+// Chave do registro de envio: um lembrete por inscrito, obrigação e vencimento.
+export function getReminderKey(subscriberId, occurrence) {
+    return `${subscriberId}__${occurrence.id}__${occurrence.date}`.replace(/\//g, '_');
+}
+
+// Vencimentos entre amanhã e `daysInAdvance` dias à frente, nas esferas
+// escolhidas pelo inscrito (nenhuma escolhida = todas). Considerar a janela
+// inteira, e não só o dia exato, recupera lembretes de execuções perdidas;
+// o registro de envios evita repetições.
+export function selectDueOccurrences(obligations, subscriber, today) {
+    const daysInAdvance = Number(subscriber.daysInAdvance) || DEFAULT_DAYS_IN_ADVANCE;
+    const from = toISODate(addDays(today, 1));
+    const to = toISODate(addDays(today, daysInAdvance));
+    return expandObligations(obligations, from, to)
+        .filter(ob => !subscriber.spheres?.length || subscriber.spheres.includes(ob.sphere))
+        .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+function describeDaysUntil(date, today) {
+    const days = Math.round((parseISODate(date) - new Date(today.getFullYear(), today.getMonth(), today.getDate())) / 86400000);
+    return days === 1 ? 'amanhã' : `em ${days} dias`;
+}
+
+function escapeHtml(text = '') {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+export function renderReminderEmail(occurrences, { today, siteUrl, unsubscribeUrl }) {
+    const subject = occurrences.length === 1
+        ? `Lembrete: ${occurrences[0].title} vence ${describeDaysUntil(occurrences[0].date, today)}`
+        : `Lembrete: ${occurrences.length} obrigações fiscais vencem em breve`;
+
+    const items = occurrences.map(ob => ({
+        ...ob,
+        formattedDate: parseISODate(ob.date).toLocaleDateString('pt-BR', { weekday: 'long', day: '2-digit', month: '2-digit', year: 'numeric' }),
+        daysUntil: describeDaysUntil(ob.date, today),
+    }));
+
+    const text = [
+        'Olá,',
+        '',
+        'Estas obrigações do Calendário Fiscal estão próximas do vencimento:',
+        '',
+        ...items.map(ob => `- ${ob.title} (${ob.sphere}) — ${ob.formattedDate}, ${ob.daysUntil}${ob.revenueCode ? ` — código ${ob.revenueCode}` : ''}`),
+        '',
+        ...(siteUrl ? [`Veja os detalhes em ${siteUrl}`] : []),
+        'Você recebe este e-mail porque se inscreveu nos alertas do Calendário Fiscal.',
+        `Para cancelar: ${unsubscribeUrl}`,
+    ].join('\n');
+
+    const html = `<p>Olá,</p>
+<p>Estas obrigações do Calendário Fiscal estão próximas do vencimento:</p>
+<ul>
+${items.map(ob => `  <li><strong>${escapeHtml(ob.title)}</strong> (${escapeHtml(ob.sphere)}) — ${escapeHtml(ob.formattedDate)}, ${ob.daysUntil}${ob.revenueCode ? ` — código ${escapeHtml(ob.revenueCode)}` : ''}${ob.officialUrl ? ` — <a href="${escapeHtml(ob.officialUrl)}">página oficial</a>` : ''}</li>`).join('\n')}
+</ul>
+${siteUrl ? `<p><a href="${escapeHtml(siteUrl)}">Abrir o Calendário Fiscal</a></p>\n` : ''}<p style="color:#888;font-size:12px">Você recebe este e-mail porque se inscreveu nos alertas do Calendário Fiscal. <a href="${escapeHtml(unsubscribeUrl)}">Cancelar inscrição</a>.</p>`;
+
+    return { subject, text, html, headers: getUnsubscribeHeaders(unsubscribeUrl) };
+}
+
+// Link de descadastro no cabeçalho, exibido pelos clientes de e-mail como "Cancelar inscrição".
+function getUnsubscribeHeaders(unsubscribeUrl) {
+    return { 'List-Unsubscribe': `<${unsubscribeUrl}>` };
+}
+
+export function renderConfirmationEmail({ confirmUrl, unsubscribeUrl }) {
+    const subject = 'Confirme sua inscrição nos alertas do Calendário Fiscal';
+    const text = [
+        'Olá,',
+        '',
+        'Recebemos um pedido para enviar lembretes de vencimentos fiscais para este e-mail.',
+        `Para confirmar, acesse: ${confirmUrl}`,
+        '',
+        'Se você não fez este pedido, ignore esta mensagem: sem a confirmação, nenhum lembrete será enviado.',
+        `Para remover seu e-mail imediatamente: ${unsubscribeUrl}`,
+    ].join('\n');
+    const html = `<p>Olá,</p>
+<p>Recebemos um pedido para enviar lembretes de vencimentos fiscais para este e-mail.</p>
+<p><a href="${escapeHtml(confirmUrl)}">Confirmar inscrição</a></p>
+<p style="color:#888;font-size:12px">Se você não fez este pedido, ignore esta mensagem: sem a confirmação, nenhum lembrete será enviado. <a href="${escapeHtml(unsubscribeUrl)}">Remover meu e-mail</a>.</p>`;
+    return { subject, text, html, headers: getUnsubscribeHeaders(unsubscribeUrl) };
+}
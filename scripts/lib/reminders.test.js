@@ -0,0 +1,31 @@
+import { describe, expect, it } from 'vitest';
+import { parseISODate } from '../../src/lib/dates.js';
+import { getReminderKey, renderReminderEmail, selectDueOccurrences } from './reminders.js';
+
+const obligations = [
+    { id: 'das', title: 'DAS', sphere: 'Federal', recurrence: { frequency: 'monthly', dayRule: 'fixed', day: 20, adjustment: 'postpone' } },
+    { id: 'iss', title: 'ISS', sphere: 'Municipal', date: '2026-12-31' },
+    { id: 'gia', title: 'GIA', sphere: 'Estadual', date: '2027-01-02' },
+];
+
+describe('selectDueOccurrences', () => {
+    it('considera de amanhã até a antecedência escolhida, atravessando o ano', () => {
+        const selected = selectDueOccurrences(obligations, { daysInAdvance: 3 }, parseISODate('2026-12-30'));
+        expect(selected.map(ob => `${ob.id}:${ob.date}`)).toEqual(['iss:2026-12-31', 'gia:2027-01-02']);
+    });
+
+    it('filtra pelas esferas do inscrito', () => {
+        expect(selectDueOccurrences(obligations, { daysInAdvance: 3, spheres: ['Estadual'] }, parseISODate('2026-12-30')).map(ob => ob.id)).toEqual(['gia']);
+    });
+});
+
+describe('renderReminderEmail', () => {
+    it('monta o assunto, o link de descadastro e a chave do registro', () => {
+        const today = parseISODate('2026-10-19');
+        const email = renderReminderEmail([{ ...obligations[0], date: '2026-10-20' }], { today, siteUrl: 'https://c.exemplo.com', unsubscribeUrl: 'https://c.exemplo.com/?descadastrar=a.b' });
+        expect(email.subject).toBe('Lembrete: DAS vence amanhã');
+        expect(email.headers['List-Unsubscribe']).toBe('<https://c.exemplo.com/?descadastrar=a.b>');
+        expect(email.text).toContain('Para cancelar: https://c.exemplo.com/?descadastrar=a.b');
+        expect(getReminderKey('sub', { id: 'das', date: '2026-10-20' })).toBe('sub__das__2026-10-20');
+    });
+});
@@ -0,0 +1,17 @@
+// --- TOKENS ASSINADOS DOS LINKS DE CONFIRMAÇÃO E DESCADASTRO ---
+// HMAC-SHA256 de `<finalidade>:<id do inscrito>` com TOKEN_SECRET. O token é
+// gravado no documento do inscrito e firestore.rules compara o link com esse
+// valor, sem usar o segredo. Trocar o segredo só muda os tokens gerados daí em
+// diante; para invalidar links já enviados, apague os tokens dos documentos.
+import { createHmac } from 'node:crypto';
+
+function getSecret() {
+    if (!process.env.TOKEN_SECRET) {
+        throw new Error('Defina TOKEN_SECRET para assinar os links enviados por e-mail.');
+    }
+    return process.env.TOKEN_SECRET;
+}
+
+export function signToken(purpose, subscriberId) {
+    return createHmac('sha256', getSecret()).update(`${purpose}:${subscriberId}`).digest('base64url');
+}
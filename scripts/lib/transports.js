@@ -0,0 +1,47 @@
+// --- TRANSPORTES DE E-MAIL ---
+// Todos expõem `send({ to, subject, text, html, headers })`. O SMTP é o de produção;
+// `console` e `file` servem para testes locais e com o emulador.
+import { mkdir, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import nodemailer from 'nodemailer';
+
+function createConsoleTransport() {
+    return {
+        async send(message) {
+            console.log(`\n--- Para: ${message.to}\n--- Assunto: ${message.subject}\n${message.text}\n`);
+        },
+    };
+}
+
+function createFileTransport({ outDir = 'tmp/emails' } = {}) {
+    return {
+        async send(message) {
+            await mkdir(outDir, { recursive: true });
+            const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${message.to.replace(/[^a-z0-9@._-]/gi, '_')}.json`;
+            await writeFile(join(outDir, fileName), JSON.stringify(message, null, 2), 'utf8');
+        },
+    };
+}
+
+// SMTP_URL no formato smtp(s)://usuario:senha@servidor:porta; MAIL_FROM é o remetente.
+function createSmtpTransport({ url = process.env.SMTP_URL, from = process.env.MAIL_FROM } = {}) {
+    if (!url || !from) {
+        throw new Error('Defina SMTP_URL e MAIL_FROM para usar o transporte SMTP.');
+    }
+    const transporter = nodemailer.createTransport(url);
+    return {
+        async send(message) {
+            await transporter.sendMail({ from, ...message });
+        },
+    };
+}
+
+const TRANSPORTS = { console: createConsoleTransport, file: createFileTransport, smtp: createSmtpTransport };
+
+export function createTransport(name, options) {
+    const factory = TRANSPORTS[name];
+    if (!factory) {
+        throw new Error(`Transporte de e-mail desconhecido: ${name}. Use ${Object.keys(TRANSPORTS).join(', ')}.`);
+    }
+    return factory(options);
+}
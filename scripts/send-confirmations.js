@@ -0,0 +1,64 @@
+// --- ENVIO DOS E-MAILS DE CONFIRMAÇÃO DE INSCRIÇÃO ---
+// Busca inscrições `pending` que ainda não receberam o link, assina os tokens
+// de confirmação e descadastro, grava-os no documento e envia o e-mail.
+// Deve rodar com frequência (ex.: a cada 5 minutos).
+//
+// Uso:
+//   ADMIN_EMAIL=... ADMIN_PASSWORD=... TOKEN_SECRET=... SITE_URL=https://... \
+//   node scripts/send-confirmations.js --transport smtp
+//
+// Opções: --transport smtp|console|file (padrão: console), --out-dir.
+import { parseArgs } from 'node:util';
+import { collection, doc, getDocs, query, where, updateDoc, serverTimestamp } from 'firebase/firestore';
+import { connectToFirebase } from './lib/firebase.js';
+import { createTransport } from './lib/transports.js';
+import { signToken } from './lib/tokens.js';
+import { renderConfirmationEmail } from './lib/reminders.js';
+import { buildSubscriptionLink } from '../src/lib/subscriptions.js';
+
+const { values: options } = parseArgs({
+    options: {
+        transport: { type: 'string', default: 'console' },
+        'out-dir': { type: 'string' },
+    },
+});
+
+async function main() {
+    if (!process.env.SITE_URL) { throw new Error('Defina SITE_URL para montar os links de confirmação.'); }
+    const transport = createTransport(options.transport, { outDir: options['out-dir'] });
+    const { db, paths } = await connectToFirebase({ signIn: true });
+
+    const snapshot = await getDocs(query(collection(db, paths.subscribers), where('status', '==', 'pending'), where('confirmationSentAt', '==', null)));
+    let sent = 0;
+    let failures = 0;
+    for (const subscriberDoc of snapshot.docs) {
+        const subscriber = subscriberDoc.data();
+        const confirmationToken = signToken('confirm', subscriberDoc.id);
+        const unsubscribeToken = signToken('unsubscribe', subscriberDoc.id);
+        try {
+            // Grava os tokens antes do envio: o link só funciona se eles já existirem.
+            await updateDoc(doc(db, paths.subscribers, subscriberDoc.id), { confirmationToken, unsubscribeToken, confirmationSentAt: serverTimestamp() });
+            await transport.send({
+                to: subscriber.email,
+                ...renderConfirmationEmail({
+                    confirmUrl: buildSubscriptionLink(process.env.SITE_URL, 'confirm', subscriberDoc.id, confirmationToken),
+                    unsubscribeUrl: buildSubscriptionLink(process.env.SITE_URL, 'unsubscribe', subscriberDoc.id, unsubscribeToken),
+                }),
+            });
+            sent++;
+        } catch (error) {
+            console.error(`Erro ao enviar confirmação para ${subscriber.email}:`, error);
+            // Libera para nova tentativa na próxima execução.
+            await updateDoc(doc(db, paths.subscribers, subscriberDoc.id), { confirmationSentAt: null }).catch(() => {});
+            failures++;
+        }
+    }
+
+    console.log(`Confirmações enviadas: ${sent}. Falhas: ${failures}.`);
+    return failures;
+}
+
+main().then((failures) => process.exit(failures > 0 ? 1 : 0)).catch((error) => {
+    console.error('Erro ao enviar confirmações:', error);
+    process.exit(1);
+});
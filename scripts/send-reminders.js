@@ -0,0 +1,90 @@
+// --- ENVIO DIÁRIO DOS LEMBRETES POR E-MAIL ---
+// Para cada inscrito, envia um e-mail com as obrigações que vencem dentro da
+// antecedência escolhida e registra cada lembrete em `reminderLog`, de modo
+// que reexecuções no mesmo dia não enviem nada em dobro.
+//
+// Uso (agendar uma vez por dia, ex.: cron às 7h):
+//   ADMIN_EMAIL=... ADMIN_PASSWORD=... FIREBASE_CONFIG='{...}' APP_ID=meu-app \
+//   TOKEN_SECRET=... SITE_URL=https://... \
+//   SMTP_URL=smtps://... MAIL_FROM='Calendário Fiscal <alertas@exemplo.com>' \
+//   node scripts/send-reminders.js --transport smtp
+//
+// Opções: --transport smtp|console|file (padrão: console), --out-dir (para
+// o transporte file), --date YYYY-MM-DD (simula outro "hoje").
+import { parseArgs } from 'node:util';
+import { collection, doc, getDocs, query, where, writeBatch, serverTimestamp } from 'firebase/firestore';
+import { connectToFirebase } from './lib/firebase.js';
+import { createTransport } from './lib/transports.js';
+import { getReminderKey, renderReminderEmail, selectDueOccurrences } from './lib/reminders.js';
+import { signToken } from './lib/tokens.js';
+import { addDays, parseISODate, toISODate } from '../src/lib/dates.js';
+import { buildSubscriptionLink } from '../src/lib/subscriptions.js';
+import { isDeleted } from '../src/lib/audit.js';
+
+// Os vencimentos seguem o horário de Brasília, não o do servidor.
+process.env.TZ ||= 'America/Sao_Paulo';
+
+const { values: options } = parseArgs({
+    options: {
+        transport: { type: 'string', default: 'console' },
+        'out-dir': { type: 'string' },
+        date: { type: 'string' },
+    },
+});
+
+async function main() {
+    if (!process.env.SITE_URL) { throw new Error('Defina SITE_URL para montar os links de descadastro.'); }
+    const today = options.date ? parseISODate(options.date) : new Date();
+    const transport = createTransport(options.transport, { outDir: options['out-dir'] });
+    const { db, paths } = await connectToFirebase({ signIn: true });
+
+    const [obligationsSnapshot, subscribersSnapshot, logSnapshot] = await Promise.all([
+        getDocs(collection(db, paths.obligations)),
+        // Só inscritos que confirmaram o e-mail (dupla confirmação).
+        getDocs(query(collection(db, paths.subscribers), where('status', '==', 'confirmed'))),
+        // Os lembretes deste envio vencem de amanhã em diante (selectDueOccurrences):
+        // basta o registro desses vencimentos, não o histórico inteiro.
+        getDocs(query(collection(db, paths.reminderLog), where('date', '>=', toISODate(addDays(today, 1))))),
+    ]);
+    const obligations = obligationsSnapshot.docs.map(d => ({ id: d.id, ...d.data() })).filter(ob => !isDeleted(ob));
+    const alreadySent = new Set(logSnapshot.docs.map(d => d.id));
+
+    let sentEmails = 0;
+    let failures = 0;
+    for (const subscriberDoc of subscribersSnapshot.docs) {
+        const subscriber = { id: subscriberDoc.id, ...subscriberDoc.data() };
+        const pending = selectDueOccurrences(obligations, subscriber, today)
+            .filter(ob => !alreadySent.has(getReminderKey(subscriber.id, ob)));
+        if (pending.length === 0) { continue; }
+
+        try {
+            const unsubscribeUrl = buildSubscriptionLink(process.env.SITE_URL, 'unsubscribe', subscriber.id, subscriber.unsubscribeToken || signToken('unsubscribe', subscriber.id));
+            await transport.send({ to: subscriber.email, ...renderReminderEmail(pending, { today, siteUrl: process.env.SITE_URL, unsubscribeUrl }) });
+        } catch (error) {
+            // Sem registro, o lembrete será tentado de novo na próxima execução.
+            console.error(`Erro ao enviar para ${subscriber.email}:`, error);
+            failures++;
+            continue;
+        }
+
+        const batch = writeBatch(db);
+        pending.forEach(ob => {
+            batch.set(doc(db, paths.reminderLog, getReminderKey(subscriber.id, ob)), {
+                subscriberId: subscriber.id,
+                obligationId: ob.id,
+                date: ob.date,
+                sentAt: serverTimestamp(),
+            });
+        });
+        await batch.commit();
+        sentEmails++;
+    }
+
+    console.log(`Lembretes enviados: ${sentEmails}. Falhas: ${failures}.`);
+    return failures;
+}
+
+main().then((failures) => process.exit(failures > 0 ? 1 : 0)).catch((error) => {
+    console.error('Erro ao enviar lembretes:', error);
+    process.exit(1);
+});
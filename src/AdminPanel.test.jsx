@@ -0,0 +1,144 @@
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { AdminPanel } from './App.jsx';
+import { authModule, createUser, emitSnapshot, firebaseState, resetFirebase, SERVER_TIMESTAMP } from './test/firebase.js';
+
+vi.mock('firebase/app', async () => (await import('./test/firebase.js')).appModule);
+vi.mock('firebase/auth', async () => (await import('./test/firebase.js')).authModule);
+vi.mock('firebase/firestore', async () => (await import('./test/firebase.js')).firestoreModule);
+
+const obligations = [
+    { id: 'dctf', title: 'DCTFWeb', sphere: 'Federal', date: '2026-10-15', regimes: [], uf: '', municipality: '' },
+];
+const deletedObligations = [
+    { id: 'gia', title: 'GIA-SP', sphere: 'Estadual', uf: 'SP', date: '2026-10-20', deletedAt: { toDate: () => new Date(2026, 9, 1) } },
+];
+
+const operationsOf = (batchIndex) => firebaseState.batches[batchIndex].operations;
+const obligationWrite = (batchIndex) => operationsOf(batchIndex).find(op => op.path.includes('/obligations/'));
+const auditWrite = (batchIndex) => operationsOf(batchIndex).find(op => op.path.includes('/auditLog/'));
+
+describe('AdminPanel', () => {
+    const setView = vi.fn();
+
+    beforeEach(() => {
+        resetFirebase();
+        vi.useFakeTimers({ toFake: ['Date'] });
+        vi.setSystemTime(new Date(2026, 9, 19, 12));
+        firebaseState.currentUser = createUser();
+        render(<AdminPanel obligations={obligations} deletedObligations={deletedObligations} setView={setView} />);
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    it('cria a obrigação e a entrada do auditLog no mesmo lote', async () => {
+        const user = userEvent.setup();
+        await user.type(screen.getByLabelText('Título'), 'EFD-Reinf');
+        await user.type(screen.getByLabelText('Vencimento'), '2026-11-16');
+        await user.click(screen.getByRole('button', { name: 'Adicionar' }));
+
+        expect(firebaseState.batches).toHaveLength(1);
+        const write = obligationWrite(0);
+        const audit = auditWrite(0);
+        expect(write.type).toBe('set');
+        expect(write.data).toMatchObject({ title: 'EFD-Reinf', date: '2026-11-16', sphere: 'Federal', updatedAt: SERVER_TIMESTAMP });
+        expect(write.data).not.toHaveProperty('updatedBy');
+        expect(audit.path).toBe(`artifacts/test-app/auditLog/${write.data.auditId}`);
+        expect(audit.data).toMatchObject({ action: 'create', obligationId: write.path.split('/').pop(), actor: { uid: 'admin-uid', email: 'admin@exemplo.com' }, before: null, at: SERVER_TIMESTAMP });
+        expect(screen.getByLabelText('Título')).toHaveValue('');
+    });
+
+    it('avisa sobre feriados da UF e do município da obrigação', async () => {
+        const user = userEvent.setup();
+        await user.type(screen.getByLabelText('Vencimento'), '2026-07-09');
+        expect(screen.queryByText(/dia não útil/)).not.toBeInTheDocument();
+        await user.selectOptions(screen.getByLabelText('UF'), 'SP');
+        expect(screen.getByText('Atenção: vencimento em dia não útil (Revolução Constitucionalista).')).toBeInTheDocument();
+
+        const date = screen.getByLabelText('Vencimento');
+        await user.clear(date);
+        await user.type(date, '2027-01-25');
+        expect(screen.queryByText(/dia não útil/)).not.toBeInTheDocument();
+        await user.type(screen.getByLabelText('Município'), 'São Paulo');
+        expect(screen.getByText('Atenção: vencimento em dia não útil (Aniversário de São Paulo).')).toBeInTheDocument();
+    });
+
+    it('registra a mudança de vencimento ao editar a data', async () => {
+        const user = userEvent.setup();
+        await user.click(screen.getByRole('button', { name: 'Editar' }));
+        const date = screen.getByLabelText('Vencimento');
+        await user.clear(date);
+        await user.type(date, '2026-10-16');
+        await user.click(screen.getByRole('button', { name: 'Atualizar' }));
+
+        const write = obligationWrite(0);
+        expect(write.type).toBe('update');
+        expect(write.path).toBe('artifacts/test-app/public/data/obligations/dctf');
+        expect(write.data.dateChange).toEqual({ previous: '15/10/2026', changedOn: '2026-10-19' });
+        expect(auditWrite(0).data).toMatchObject({ action: 'update', changedFields: ['date'] });
+    });
+
+    it('move para a lixeira com exclusão lógica', async () => {
+        const user = userEvent.setup();
+        await user.click(screen.getByRole('button', { name: 'Mover para a lixeira' }));
+        await user.click(screen.getByRole('button', { name: 'Confirmar Exclusão' }));
+
+        const write = obligationWrite(0);
+        expect(write.type).toBe('update');
+        expect(write.data).toEqual({ deletedAt: SERVER_TIMESTAMP, auditId: auditWrite(0).path.split('/').pop(), updatedAt: SERVER_TIMESTAMP });
+        expect(auditWrite(0).data).toMatchObject({ action: 'delete', after: null });
+        expect(operationsOf(0).some(op => op.type === 'delete')).toBe(false);
+    });
+
+    it('restaura obrigações da lixeira', async () => {
+        const user = userEvent.setup();
+        firebaseState.getDocsResults.set('artifacts/test-app/auditLog', [
+            { id: 'a1', obligationId: 'gia', action: 'delete', actor: { uid: 'u1', email: 'antigo@exemplo.com' }, at: { toMillis: () => 1 } },
+            { id: 'a2', obligationId: 'gia', action: 'delete', actor: { uid: 'admin-uid', email: 'admin@exemplo.com' }, at: { toMillis: () => 2 } },
+        ]);
+        await user.click(screen.getByRole('tab', { name: 'Lixeira' }));
+        expect(await screen.findByText(/Excluída em 01\/10\/2026.* por admin@exemplo.com/)).toBeInTheDocument();
+        await user.click(screen.getByRole('button', { name: 'Restaurar' }));
+
+        expect(obligationWrite(0)).toMatchObject({ type: 'update', path: 'artifacts/test-app/public/data/obligations/gia' });
+        expect(obligationWrite(0).data).toMatchObject({ deletedAt: null });
+        expect(auditWrite(0).data.action).toBe('restore');
+    });
+
+    it('exclui o inscrito e o histórico de envios em lotes de até 500 operações', async () => {
+        const user = userEvent.setup();
+        const logPath = 'artifacts/test-app/reminderLog';
+        firebaseState.getDocsResults.set(logPath, Array.from({ length: 600 }, (_, i) => ({ id: `${logPath}/envio-${i}`, subscriberId: 'abc' })));
+        await user.click(screen.getByRole('tab', { name: 'Inscritos' }));
+        emitSnapshot('/subscribers', [{ id: 'abc', email: 'titular@exemplo.com', status: 'confirmed' }]);
+        await user.click(await screen.findByRole('button', { name: 'Excluir titular@exemplo.com' }));
+        await user.click(screen.getByRole('button', { name: 'Confirmar Exclusão' }));
+
+        expect(firebaseState.batches.map(batch => batch.operations.length)).toEqual([500, 101]);
+        expect(firebaseState.batches.flatMap(batch => batch.operations).every(op => op.type === 'delete')).toBe(true);
+        expect(operationsOf(1).at(-1).path).toBe('artifacts/test-app/public/data/subscribers/abc');
+    });
+
+    it('exclui o cliente e as entregas em lotes de até 500 operações', async () => {
+        const user = userEvent.setup();
+        const filingsPath = 'artifacts/test-app/filings';
+        firebaseState.getDocsResults.set(filingsPath, Array.from({ length: 700 }, (_, i) => ({ id: `${filingsPath}/entrega-${i}`, clientId: 'acme' })));
+        await user.click(screen.getByRole('tab', { name: 'Clientes' }));
+        emitSnapshot('/clients', [{ id: 'acme', name: 'Acme Ltda', cnpj: '11222333000181', regime: 'Lucro Real', uf: 'SP', municipality: '' }]);
+        await user.click(await screen.findByRole('button', { name: 'Excluir Acme Ltda' }));
+        await user.click(screen.getByRole('button', { name: 'Confirmar Exclusão' }));
+
+        expect(firebaseState.batches.map(batch => batch.operations.length)).toEqual([500, 201]);
+        expect(firebaseState.batches.flatMap(batch => batch.operations).every(op => op.type === 'delete')).toBe(true);
+        expect(operationsOf(1).at(-1).path).toBe('artifacts/test-app/clients/acme');
+    });
+
+    it('encerra a sessão e volta ao calendário', async () => {
+        await userEvent.setup().click(screen.getByRole('button', { name: 'Sair' }));
+        expect(authModule.signOut).toHaveBeenCalled();
+        expect(setView).toHaveBeenCalledWith('calendar');
+    });
+});
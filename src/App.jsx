@@ -1,7 +1,21 @@
-import React, { useState, useEffect, useMemo } from 'react';
+import React, { useState, useEffect, useMemo, useRef, useCallback } from 'react';
+import { flushSync } from 'react-dom';
 import { initializeApp } from 'firebase/app';
-import { getFirestore, collection, onSnapshot, addDoc, doc, updateDoc, deleteDoc, setDoc } from 'firebase/firestore';
-import { getAuth, signInAnonymously, onAuthStateChanged } from 'firebase/auth';
+import { getFirestore, connectFirestoreEmulator, collection, onSnapshot, doc, getDoc, getDocs, updateDoc, setDoc, query, where, writeBatch, serverTimestamp } from 'firebase/firestore';
+import { getAuth, connectAuthEmulator, signInAnonymously, signInWithEmailAndPassword, signOut, onAuthStateChanged } from 'firebase/auth';
+import { toISODate, parseISODate, addDays } from './lib/dates.js';
+import { CALENDAR_VIEWS, isSameDay, getWeekDates, chunkWeeks, groupByDate, buildCalendarDay, buildMonthDays, getVisibleRange, shiftDate, parseCalendarStateFromSearch, applyCalendarStateToSearch } from './lib/calendarViews.js';
+import { nationalHolidayCalendar, createHolidayCalendar, getHolidayCalendar } from './lib/holidays.js';
+import { buildICalendar, getDefaultExportRange } from './lib/ical.js';
+import { toCsv } from './lib/csv.js';
+import { saveObligationsSnapshot, loadObligationsSnapshot } from './lib/offlineCache.js';
+import { AUDIT_ACTIONS, OBLIGATION_FIELD_LABELS, isDeleted, buildAuditEntry, formatFieldValue, getDateChange, hasDateChanged } from './lib/audit.js';
+import { FILING_STATUSES, EMPTY_CLIENT, normalizeCnpj, formatCnpj, isValidCnpj, obligationAppliesToClient, getFilingId, getFilingStatus, getClientHolidayCalendar, getClientOccurrences, getOverdueItems } from './lib/clients.js';
+import { parseImportFile, exportObligationsToCsv, exportObligationsToJson } from './lib/importExport.js';
+import { SUBSCRIPTION_STATUSES, CONSENT_TEXT, CONSENT_TEXT_VERSION, normalizeEmail, isValidEmail, getSubscriberId, parseSubscriptionLink } from './lib/subscriptions.js';
+import { SPHERES, REGIMES, UFS, EMPTY_FILTERS, filterObligations, hasActiveFilters, parseFiltersFromSearch, applyFiltersToSearch, describeFilters } from './lib/filters.js';
+import { EMBED_HEIGHT_MESSAGE, parseEmbedOptions } from './lib/embed.js';
+import { expandObligations, describeRecurrence, FREQUENCIES, DAY_RULES, ADJUSTMENTS, DEFAULT_RECURRENCE } from './lib/recurrence.js';
 
 // --- ÍCONES SVG ---
 const ChevronLeftIcon = () => (
@@ -27,6 +41,12 @@ try {
     }
 } catch (e) { console.error("Não foi possível carregar a configuração do ambiente (__firebase_config)", e); }
 
+// Com VITE_USE_FIREBASE_EMULATORS=true o app usa os emuladores locais (firebase.json),
+// dispensando a configuração de um projeto real.
+const useEmulators = import.meta.env.VITE_USE_FIREBASE_EMULATORS === 'true';
+if (useEmulators && !firebaseConfig.apiKey) {
+    firebaseConfig = { apiKey: 'demo-api-key', projectId: 'demo-calendario-fiscal' };
+}
 
 const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
 
@@ -34,19 +54,71 @@ const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
 const app = firebaseConfig.apiKey ? initializeApp(firebaseConfig) : null;
 const db = app ? getFirestore(app) : null;
 const auth = app ? getAuth(app) : null;
+if (app && useEmulators) {
+    connectFirestoreEmulator(db, '127.0.0.1', 8080);
+    connectAuthEmulator(auth, 'http://127.0.0.1:9099', { disableWarnings: true });
+}
 
 // Caminhos do Firestore
 const obligationsCollectionPath = `artifacts/${appId}/public/data/obligations`;
 const subscribersCollectionPath = `artifacts/${appId}/public/data/subscribers`;
+const reminderLogCollectionPath = `artifacts/${appId}/reminderLog`;
+const adminsCollectionPath = `artifacts/${appId}/admins`;
+const auditLogCollectionPath = `artifacts/${appId}/auditLog`;
+const clientsCollectionPath = `artifacts/${appId}/clients`;
+const filingsCollectionPath = `artifacts/${appId}/filings`;
+
+// Limite de operações por lote de escrita do Firestore.
+const FIRESTORE_BATCH_LIMIT = 500;
+
+// Um usuário é administrador se tiver a custom claim `admin` ou um documento
+// em `admins/{uid}`. As mesmas condições são verificadas em firestore.rules.
+async function hasAdminRole(user) {
+    if (!user || user.isAnonymous) { return false; }
+    try {
+        const tokenResult = await user.getIdTokenResult();
+        if (tokenResult.claims.admin === true) { return true; }
+        const adminDoc = await getDoc(doc(db, adminsCollectionPath, user.uid));
+        return adminDoc.exists();
+    } catch (error) {
+        console.error("Erro ao verificar permissão de administrador:", error);
+        return false;
+    }
+}
+
+// Adiciona ao lote a gravação da obrigação e a sua entrada no auditLog. As
+// regras do Firestore recusam escritas de obrigações sem essa entrada.
+// `changes` são os campos gravados; `before` e `after`, os valores registrados.
+// Quem fez a alteração fica só no auditLog: a obrigação é de leitura pública.
+function addAuditedWrite(batch, { action, obligationRef, changes, before = null, after = null }) {
+    const auditRef = doc(collection(db, auditLogCollectionPath));
+    const actor = { uid: auth.currentUser.uid, email: auth.currentUser.email ?? null };
+    const data = { ...changes, auditId: auditRef.id, updatedAt: serverTimestamp() };
+    if (action === 'create' || action === 'import') { batch.set(obligationRef, data); } else { batch.update(obligationRef, data); }
+    batch.set(auditRef, { ...buildAuditEntry({ obligationId: obligationRef.id, action, actor, before, after }), at: serverTimestamp() });
+}
 
+// Apaga os documentos em lotes de até FIRESTORE_BATCH_LIMIT, na ordem dada. Quem
+// chama põe o documento principal por último: se um lote falhar, ele continua
+// na lista e a exclusão pode ser repetida.
+async function deleteInBatches(refs) {
+    for (let i = 0; i < refs.length; i += FIRESTORE_BATCH_LIMIT) {
+        const batch = writeBatch(db);
+        refs.slice(i, i + FIRESTORE_BATCH_LIMIT).forEach(ref => batch.delete(ref));
+        await batch.commit();
+    }
+}
 
 // --- COMPONENTE PRINCIPAL: App ---
-export default function App() {
+// Com `embedded`, exibe apenas o calendário incorporável (embed.html).
+export default function App({ embedded = false }) {
   const [obligations, setObligations] = useState([]);
   const [loading, setLoading] = useState(true);
   const [view, setView] = useState('calendar');
   const [isAdminAuthenticated, setIsAdminAuthenticated] = useState(false);
   const [firebaseError, setFirebaseError] = useState(null);
+  const [offlineSnapshot, setOfflineSnapshot] = useState(null); // { savedAt } quando os dados vêm do cache local
+  const [isDemoData, setIsDemoData] = useState(false); // Dados de exemplo no lugar das obrigações reais
   const [isAuthReady, setIsAuthReady] = useState(false); // Novo estado para rastrear o status da autenticação
 
   // Efeito 1: Lida com a Autenticação do Firebase
@@ -66,6 +138,8 @@ export default function App() {
           setFirebaseError("Não foi possível autenticar com o serviço.");
         }
       }
+      // A sessão de administrador sobrevive ao recarregamento da página.
+      setIsAdminAuthenticated(await hasAdminRole(user));
       // Define a autenticação como pronta para que a busca de dados possa começar.
       setIsAuthReady(true);
     });
@@ -77,25 +151,52 @@ export default function App() {
   useEffect(() => {
     // Executa apenas se a autenticação estiver pronta e houver uma conexão com o banco de dados.
     if (isAuthReady) {
+        let lastLiveAt = null; // Momento do último retrato recebido do servidor nesta sessão
+
+        // Sem resposta do servidor: exibe o último retrato salvo no aparelho. Os
+        // dados de exemplo só aparecem se nenhum dado real jamais foi carregado.
+        const showFallbackData = async () => {
+            if (lastLiveAt) { setOfflineSnapshot({ savedAt: lastLiveAt }); return; }
+            const saved = await loadObligationsSnapshot(obligationsCollectionPath);
+            if (lastLiveAt) { return; } // Os dados do servidor chegaram enquanto o cache era lido
+            if (saved) {
+                setObligations(saved.obligations);
+                setOfflineSnapshot({ savedAt: saved.savedAt });
+                setIsDemoData(false);
+            } else {
+                setObligations(getMockObligations());
+                setOfflineSnapshot(null);
+                setIsDemoData(true);
+            }
+            setLoading(false);
+        };
+
         if (!db) {
             setFirebaseError("Falha na configuração do Firebase. Não foi possível conectar ao banco de dados.");
-            setLoading(false);
-            setObligations(getMockObligations());
+            showFallbackData();
             return;
         }
 
         const obligationsRef = collection(db, obligationsCollectionPath);
-        const unsubscribeFirestore = onSnapshot(obligationsRef, (snapshot) => {
+        const unsubscribeFirestore = onSnapshot(obligationsRef, { includeMetadataChanges: true }, (snapshot) => {
+            // O SDK entrega um retrato "do cache" quando não consegue falar com o servidor.
+            if (snapshot.metadata.fromCache) {
+                showFallbackData();
+                return;
+            }
             const fetchedObligations = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+            lastLiveAt = Date.now();
             setObligations(fetchedObligations);
+            setOfflineSnapshot(null);
+            setIsDemoData(false);
             setFirebaseError(null); // Limpa erros anteriores em caso de sucesso
             setLoading(false);
+            saveObligationsSnapshot(obligationsCollectionPath, fetchedObligations.filter(ob => !isDeleted(ob)));
         }, (error) => {
             console.error("Erro ao buscar obrigações: ", error);
             // Fornece uma mensagem de erro mais específica.
             setFirebaseError("Não foi possível carregar os dados. Verifique as permissões de acesso ao banco de dados (Firestore Rules).");
-            setObligations(getMockObligations()); 
-            setLoading(false);
+            showFallbackData();
         });
 
         // Limpa o listener quando o componente é desmontado ou a dependência muda
@@ -103,72 +204,149 @@ export default function App() {
     }
   }, [isAuthReady]); // Este efeito executa novamente se isAuthReady mudar
 
+  // Obrigações na lixeira só aparecem no painel de administração.
+  const activeObligations = useMemo(() => obligations.filter(ob => !isDeleted(ob)), [obligations]);
+  const deletedObligations = useMemo(() => obligations.filter(isDeleted), [obligations]);
+
   const renderContent = () => {
+    if (embedded) {
+      return <EmbeddedCalendarView obligations={activeObligations} loading={loading && !firebaseError} isDemoData={isDemoData} />;
+    }
     if (firebaseError && !loading) {
-       return <PublicCalendarView obligations={obligations} loading={false} setView={setView} firebaseError={firebaseError} />;
+       return <PublicCalendarView obligations={activeObligations} loading={false} setView={setView} firebaseError={firebaseError} offlineSnapshot={offlineSnapshot} isDemoData={isDemoData} isAdmin={isAdminAuthenticated} />;
     }
 
-    if (view === 'admin' && isAdminAuthenticated) {
-      return <AdminPanel obligations={obligations} setView={setView} />;
+    if ((view === 'admin' || view === 'login') && isAdminAuthenticated) {
+      return <AdminPanel obligations={activeObligations} deletedObligations={deletedObligations} setView={setView} />;
     }
     if (view === 'login') {
       return <LoginPanel setView={setView} setIsAdminAuthenticated={setIsAdminAuthenticated} />;
     }
-    return <PublicCalendarView obligations={obligations} loading={loading} setView={setView} />;
+    return <PublicCalendarView obligations={activeObligations} loading={loading} setView={setView} offlineSnapshot={offlineSnapshot} isDemoData={isDemoData} isAdmin={isAdminAuthenticated} />;
   };
 
   return (
-    <div className="bg-gray-100 min-h-screen font-sans">
+    <div className={embedded ? 'font-sans' : 'bg-gray-100 min-h-screen font-sans print:bg-white'}>
         {renderContent()}
     </div>
   );
 }
 
 // --- VIEW PÚBLICA DO CALENDÁRIO ---
-function PublicCalendarView({ obligations, loading, setView, firebaseError }) {
-    const [currentDate, setCurrentDate] = useState(new Date());
+export function PublicCalendarView({ obligations, loading, setView, firebaseError, offlineSnapshot, isDemoData, isAdmin }) {
+    // Visão e data em foco, lidas da URL; no celular a agenda é a visão padrão.
+    const [calendarState, setCalendarState] = useState(() => parseCalendarStateFromSearch(window.location.search, window.matchMedia?.('(max-width: 640px)').matches ? 'agenda' : 'month'));
     const [email, setEmail] = useState('');
+    const [reminderPrefs, setReminderPrefs] = useState({ spheres: [], daysInAdvance: 1 });
+    const [consentAccepted, setConsentAccepted] = useState(false);
     const [subscriptionStatus, setSubscriptionStatus] = useState({ loading: false, message: '', isError: false });
+    const [selectedDay, setSelectedDay] = useState(null);
+    const closeDayDetails = useCallback(() => setSelectedDay(null), []);
+    const [filters, setFilters] = useState(() => parseFiltersFromSearch(window.location.search));
+    const printing = usePrinting();
+
+    // Mantém filtros, visão e data na URL para que o link possa ser compartilhado.
+    useEffect(() => {
+        const search = applyCalendarStateToSearch(applyFiltersToSearch(window.location.search, filters), calendarState);
+        window.history.replaceState(null, '', `${window.location.pathname}${search}${window.location.hash}`);
+    }, [filters, calendarState]);
+
+    // Administradores podem ver o calendário de um cliente, com as entregas em cores.
+    const clients = useClients(isAdmin);
+    const [selectedClientId, setSelectedClientId] = useState('');
+    const selectedClient = clients.find(client => client.id === selectedClientId) ?? null;
+    const filings = useFilings(selectedClient?.id, Boolean(selectedClient));
+
+    const filteredObligations = useMemo(() => {
+        const filtered = filterObligations(obligations, filters);
+        return selectedClient ? filtered.filter(ob => obligationAppliesToClient(ob, selectedClient)) : filtered;
+    }, [obligations, filters, selectedClient]);
+    // Feriados exibidos na grade: os da UF filtrada ou do cliente. Os vencimentos
+    // usam sempre os feriados de cada obrigação (ver expandObligations).
+    const holidayCalendar = useMemo(() => {
+        if (selectedClient) { return getClientHolidayCalendar(selectedClient); }
+        return filters.uf ? createHolidayCalendar({ uf: filters.uf }) : nationalHolidayCalendar;
+    }, [filters.uf, selectedClient]);
+    const getChipColor = useMemo(() => {
+        if (!selectedClient) { return undefined; }
+        return (ob) => (selectedClient.trackingStart && ob.date < selectedClient.trackingStart)
+            ? getSphereColor(ob.sphere)
+            : getFilingStatusColor(getFilingStatus(ob, filings.get(getFilingId(selectedClient.id, ob))));
+    }, [selectedClient, filings]);
 
     const handleSubscription = async (e) => {
         e.preventDefault();
-        if (!email || !email.includes('@')) {
+        const normalizedEmail = normalizeEmail(email);
+        if (!isValidEmail(normalizedEmail)) {
             setSubscriptionStatus({ loading: false, message: 'Por favor, insira um e-mail válido.', isError: true });
             return;
         }
+        if (!consentAccepted) {
+            setSubscriptionStatus({ loading: false, message: 'É preciso aceitar os termos para se inscrever.', isError: true });
+            return;
+        }
         setSubscriptionStatus({ loading: true, message: 'Inscrevendo...', isError: false });
         if (!db) {
             setSubscriptionStatus({ loading: false, message: 'Serviço indisponível. Tente novamente mais tarde.', isError: true });
             return;
         }
+        // A mesma mensagem para inscrições novas e já existentes (recusadas pelas
+        // regras), para não revelar quais e-mails estão cadastrados.
+        const pendingMessage = 'Se este e-mail ainda não estiver inscrito, você receberá um link de confirmação. Os alertas só começam após a confirmação.';
         try {
-            const subscriberDocRef = doc(db, subscribersCollectionPath, email);
-            await setDoc(subscriberDocRef, { email: email, subscribedAt: new Date() });
-            setSubscriptionStatus({ loading: false, message: 'Inscrição realizada com sucesso!', isError: false });
+            const subscriberDocRef = doc(db, subscribersCollectionPath, await getSubscriberId(normalizedEmail));
+            await setDoc(subscriberDocRef, {
+                email: normalizedEmail,
+                status: 'pending',
+                subscribedAt: serverTimestamp(),
+                consent: { acceptedAt: serverTimestamp(), textVersion: CONSENT_TEXT_VERSION },
+                spheres: reminderPrefs.spheres,
+                daysInAdvance: reminderPrefs.daysInAdvance,
+                confirmationSentAt: null,
+            }, { merge: true });
+            setSubscriptionStatus({ loading: false, message: pendingMessage, isError: false });
             setEmail('');
+            setConsentAccepted(false);
         } catch (error) {
+            if (error.code === 'permission-denied') {
+                setSubscriptionStatus({ loading: false, message: pendingMessage, isError: false });
+                return;
+            }
             console.error("Erro na inscrição:", error);
             setSubscriptionStatus({ loading: false, message: 'Ocorreu um erro. Tente novamente.', isError: true });
         }
     };
 
     return (
-        <div className="p-4 md:p-8">
-            <div className="max-w-7xl mx-auto bg-white rounded-2xl shadow-lg p-4 sm:p-6">
-                 {firebaseError && (
+        <div className="p-4 md:p-8 print:p-0">
+            <div className="max-w-7xl mx-auto bg-white rounded-2xl shadow-lg p-4 sm:p-6 print:hidden">
+                 <SubscriptionLinkNotice />
+                 {offlineSnapshot && (
+                    <div className="bg-yellow-100 border-l-4 border-yellow-500 text-yellow-700 p-4 mb-6 rounded-md" role="alert">
+                      <p className="font-bold">Dados de {new Date(offlineSnapshot.savedAt).toLocaleString('pt-BR')}, sem conexão</p>
+                      <p>Exibindo a última versão carregada neste aparelho. Alterações posteriores nos vencimentos aparecerão quando a conexão voltar.</p>
+                    </div>
+                 )}
+                 {isDemoData && (
                     <div className="bg-yellow-100 border-l-4 border-yellow-500 text-yellow-700 p-4 mb-6 rounded-md" role="alert">
                       <p className="font-bold">Modo de Demonstração</p>
-                      <p>{firebaseError} O site está exibindo dados de exemplo.</p>
+                      <p>{firebaseError ?? 'Sem conexão com o servidor.'} O site está exibindo dados de exemplo.</p>
                     </div>
                  )}
                 <div className="text-center mb-6">
                     <h1 className="text-3xl md:text-4xl font-bold text-blue-800">Calendário Fiscal</h1>
                     <p className="text-gray-500 mt-2">Fique em dia com suas obrigações fiscais e tributárias.</p>
                 </div>
-                <Calendar currentDate={currentDate} onPrevMonth={() => setCurrentDate(new Date(currentDate.getFullYear(), currentDate.getMonth() - 1, 1))} onNextMonth={() => setCurrentDate(new Date(currentDate.getFullYear(), currentDate.getMonth() + 1, 1))} onGoToToday={() => setCurrentDate(new Date())} obligations={obligations} loading={loading} />
+                <FilterBar filters={filters} onChange={setFilters} />
+                {isAdmin && <ClientSelector clients={clients} value={selectedClientId} onChange={setSelectedClientId} />}
+                <CalendarExportActions obligations={filteredObligations} />
+                <div role="group" aria-label="Visualização" className="flex rounded-lg border w-fit mb-4 overflow-hidden">
+                    {Object.entries(CALENDAR_VIEWS).map(([key, label]) => <button key={key} type="button" aria-pressed={calendarState.view === key} onClick={() => setCalendarState({ ...calendarState, view: key })} className={`px-4 py-2 text-sm font-semibold border-l first:border-l-0 ${calendarState.view === key ? 'bg-blue-600 text-white' : 'text-gray-600 hover:bg-gray-100'}`}>{label}</button>)}
+                </div>
+                <Calendar view={calendarState.view} currentDate={calendarState.date} onDateChange={(date) => setCalendarState(state => ({ ...state, date }))} onViewChange={(view) => setCalendarState(state => ({ ...state, view }))} obligations={filteredObligations} loading={loading} onSelectDay={setSelectedDay} holidayCalendar={holidayCalendar} getChipColor={getChipColor} />
                 <div className="mt-8 pt-6 border-t border-gray-200 text-center">
                     <h2 className="text-xl font-semibold text-gray-700">Receba Alertas por E-mail</h2>
-                    <p className="text-gray-500 mt-2 mb-4 max-w-2xl mx-auto">Inscreva-se e receba um lembrete no dia anterior ao vencimento de cada obrigação.</p>
+                    <p className="text-gray-500 mt-2 mb-4 max-w-2xl mx-auto">Inscreva-se e receba um lembrete antes do vencimento de cada obrigação.</p>
                     <form onSubmit={handleSubscription} className="flex flex-col items-center">
                          <div className="flex justify-center w-full max-w-lg">
                              <input type="email" placeholder="seu_melhor_email@exemplo.com" value={email} onChange={(e) => setEmail(e.target.value)} disabled={subscriptionStatus.loading} className="w-full max-w-sm px-4 py-3 rounded-l-lg border-2 border-gray-300 focus:outline-none focus:ring-2 focus:ring-blue-500 transition disabled:bg-gray-200"/>
@@ -176,118 +354,1172 @@ function PublicCalendarView({ obligations, loading, setView, firebaseError }) {
                                 {subscriptionStatus.loading ? '...' : 'Inscrever'}
                              </button>
                          </div>
+                         <div className="flex flex-wrap justify-center items-center gap-4 mt-3 text-sm text-gray-600">
+                             <span>Esferas (nenhuma = todas):</span>
+                             {SPHERES.map(sphere => (
+                                 <label key={sphere} className="inline-flex items-center space-x-1"><input type="checkbox" checked={reminderPrefs.spheres.includes(sphere)} onChange={e => setReminderPrefs({ ...reminderPrefs, spheres: e.target.checked ? [...reminderPrefs.spheres, sphere] : reminderPrefs.spheres.filter(s => s !== sphere) })}/><span>{sphere}</span></label>
+                             ))}
+                             <label htmlFor="daysInAdvance">Avisar com</label>
+                             <select id="daysInAdvance" value={reminderPrefs.daysInAdvance} onChange={e => setReminderPrefs({ ...reminderPrefs, daysInAdvance: Number(e.target.value) })} className="px-2 py-1 border rounded-md bg-white">
+                                 {[1, 2, 3, 5, 7, 10, 15].map(days => <option key={days} value={days}>{days === 1 ? '1 dia' : `${days} dias`} de antecedência</option>)}
+                             </select>
+                         </div>
+                         <label className="flex items-start space-x-2 mt-3 max-w-lg text-left text-xs text-gray-500">
+                             <input type="checkbox" checked={consentAccepted} onChange={e => setConsentAccepted(e.target.checked)} className="mt-0.5"/>
+                             <span>{CONSENT_TEXT}</span>
+                         </label>
                          {subscriptionStatus.message && (
                             <p className={`mt-3 text-sm ${subscriptionStatus.isError ? 'text-red-500' : 'text-green-600'}`}>{subscriptionStatus.message}</p>
                          )}
                     </form>
                 </div>
             </div>
-            <footer className="text-center mt-8 text-gray-400 text-sm">
+            {printing && (
+                <PrintableMonth
+                    date={calendarState.date}
+                    obligations={filteredObligations}
+                    holidayCalendar={holidayCalendar}
+                    getChipColor={getChipColor}
+                    subtitle={[selectedClient?.name, describeFilters(filters)].filter(Boolean).join(' · ')}
+                    legend={selectedClient
+                        ? Object.entries(FILING_STATUSES).map(([status, label]) => ({ label, color: getFilingStatusColor(status) }))
+                        : SPHERES.map(sphere => ({ label: sphere, color: getSphereColor(sphere) }))}
+                />
+            )}
+            <footer className="text-center mt-8 text-gray-400 text-sm print:hidden">
                 <p>Desenvolvido com Gemini.</p>
                 <button onClick={() => setView('login')} className="text-blue-500 hover:underline mt-2">Acesso Restrito</button>
             </footer>
+            {selectedDay && <DayDetailsDrawer day={selectedDay} onClose={closeDayDetails} />}
+        </div>
+    );
+}
+
+// --- CALENDÁRIO INCORPORÁVEL (embed.html) ---
+// Apenas o calendário, com filtros e tema lidos da URL do iframe (ver
+// src/lib/embed.js), sem inscrição, exportação nem acesso administrativo.
+export function EmbeddedCalendarView({ obligations, loading, isDemoData }) {
+    const [options] = useState(() => parseEmbedOptions(window.location.search));
+    const [calendarState, setCalendarState] = useState(() => parseCalendarStateFromSearch(window.location.search));
+    const [selectedDay, setSelectedDay] = useState(null);
+    const closeDayDetails = useCallback(() => setSelectedDay(null), []);
+    const rootRef = useRef(null);
+    const dark = options.theme === 'escuro' || (options.theme === 'auto' && Boolean(window.matchMedia?.('(prefers-color-scheme: dark)').matches));
+
+    const filteredObligations = useMemo(() => filterObligations(obligations, options.filters), [obligations, options.filters]);
+    const holidayCalendar = useMemo(() => options.filters.uf ? createHolidayCalendar({ uf: options.filters.uf }) : nationalHolidayCalendar, [options.filters.uf]);
+
+    // Informa a altura do conteúdo à página hospedeira, que ajusta o iframe (public/embed.js).
+    useEffect(() => {
+        const root = rootRef.current;
+        if (window.parent === window || typeof ResizeObserver === 'undefined') { return; }
+        const observer = new ResizeObserver(() => window.parent.postMessage({ type: EMBED_HEIGHT_MESSAGE, height: root.scrollHeight }, '*'));
+        observer.observe(root);
+        return () => observer.disconnect();
+    }, []);
+
+    return (
+        <div ref={rootRef} className={dark ? 'dark' : ''}>
+            <div className="p-2 sm:p-4 bg-white text-gray-900 dark:bg-gray-900 dark:text-gray-100">
+                {isDemoData && <p role="status" className="mb-2 text-xs text-yellow-700 dark:text-yellow-300">Modo de demonstração: exibindo dados de exemplo.</p>}
+                <Calendar view={calendarState.view} currentDate={calendarState.date} onDateChange={(date) => setCalendarState(state => ({ ...state, date }))} onViewChange={(view) => setCalendarState(state => ({ ...state, view }))} obligations={filteredObligations} loading={loading} onSelectDay={setSelectedDay} holidayCalendar={holidayCalendar} />
+                <p className="mt-2 text-right text-xs"><a href={new URL(`./${applyFiltersToSearch('', options.filters)}`, window.location.href).href} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:underline dark:text-blue-400">Abrir o Calendário Fiscal</a></p>
+            </div>
+            {selectedDay && <DayDetailsDrawer day={selectedDay} onClose={closeDayDetails} />}
         </div>
     );
 }
 
 // --- VIEW DE LOGIN DO ADMIN ---
-function LoginPanel({ setView, setIsAdminAuthenticated }) {
+export function LoginPanel({ setView, setIsAdminAuthenticated }) {
+    const [email, setEmail] = useState('');
     const [password, setPassword] = useState('');
     const [error, setError] = useState('');
-    const handleLogin = (e) => { e.preventDefault(); if (password === 'admin123') { setIsAdminAuthenticated(true); setView('admin'); setError(''); } else { setError('Senha incorreta.'); } };
-    return (<div className="flex flex-col items-center justify-center min-h-screen p-4"><div className="w-full max-w-md bg-white rounded-2xl shadow-lg p-8"><h1 className="text-2xl font-bold text-center text-blue-800 mb-6">Acesso Administrativo</h1><form onSubmit={handleLogin}><div className="mb-4"><label className="block text-gray-700 text-sm font-bold mb-2" htmlFor="password">Senha</label><input id="password" type="password" value={password} onChange={(e) => setPassword(e.target.value)} className="w-full px-4 py-3 rounded-lg border-2 border-gray-300 focus:outline-none focus:ring-2 focus:ring-blue-500" placeholder="********"/></div>{error && <p className="text-red-500 text-xs italic mb-4">{error}</p>}<button type="submit" className="w-full bg-blue-600 text-white font-bold py-3 px-4 rounded-lg hover:bg-blue-700">Entrar</button></form><button onClick={() => setView('calendar')} className="w-full text-center mt-6 text-sm text-blue-500 hover:underline">Voltar</button></div></div>);
+    const [loading, setLoading] = useState(false);
+
+    const handleLogin = async (e) => {
+        e.preventDefault();
+        if (!auth) { setError('Serviço de autenticação indisponível.'); return; }
+        setLoading(true);
+        try {
+            const { user } = await signInWithEmailAndPassword(auth, email, password);
+            if (await hasAdminRole(user)) {
+                setIsAdminAuthenticated(true);
+                setView('admin');
+                setError('');
+            } else {
+                await signOut(auth);
+                setError('Esta conta não tem permissão de administrador.');
+            }
+        } catch (error) {
+            console.error("Erro no login:", error);
+            setError('E-mail ou senha incorretos.');
+        }
+        setLoading(false);
+    };
+
+    return (<div className="flex flex-col items-center justify-center min-h-screen p-4"><div className="w-full max-w-md bg-white rounded-2xl shadow-lg p-8"><h1 className="text-2xl font-bold text-center text-blue-800 mb-6">Acesso Administrativo</h1><form onSubmit={handleLogin}><div className="mb-4"><label className="block text-gray-700 text-sm font-bold mb-2" htmlFor="email">E-mail</label><input id="email" type="email" autoComplete="username" value={email} onChange={(e) => setEmail(e.target.value)} className="w-full px-4 py-3 rounded-lg border-2 border-gray-300 focus:outline-none focus:ring-2 focus:ring-blue-500" placeholder="admin@exemplo.com"/></div><div className="mb-4"><label className="block text-gray-700 text-sm font-bold mb-2" htmlFor="password">Senha</label><input id="password" type="password" autoComplete="current-password" value={password} onChange={(e) => setPassword(e.target.value)} className="w-full px-4 py-3 rounded-lg border-2 border-gray-300 focus:outline-none focus:ring-2 focus:ring-blue-500" placeholder="********"/></div>{error && <p className="text-red-500 text-xs italic mb-4">{error}</p>}<button type="submit" disabled={loading} className="w-full bg-blue-600 text-white font-bold py-3 px-4 rounded-lg hover:bg-blue-700 disabled:bg-gray-400">{loading ? 'Entrando...' : 'Entrar'}</button></form><button onClick={() => setView('calendar')} className="w-full text-center mt-6 text-sm text-blue-500 hover:underline">Voltar</button></div></div>);
 }
 
 // --- VIEW DO PAINEL DE ADMINISTRAÇÃO COM MODAL DE CONFIRMAÇÃO ---
-function AdminPanel({ obligations, setView }) {
-    const [formData, setFormData] = useState({ title: '', date: '', sphere: 'Federal' });
+export function AdminPanel({ obligations, deletedObligations, setView }) {
+    const [formData, setFormData] = useState(EMPTY_OBLIGATION_FORM);
     const [editingId, setEditingId] = useState(null);
     const [showConfirmModal, setShowConfirmModal] = useState(null);
+    const [tab, setTab] = useState('obligations');
+    const [historyId, setHistoryId] = useState(null);
+    const [checklist, setChecklist] = useState(null); // { clientId, month } do checklist aberto
+    const clients = useClients(true);
 
-    const handleEditClick = (obligation) => { setFormData({ title: obligation.title, date: obligation.date, sphere: obligation.sphere }); setEditingId(obligation.id); window.scrollTo(0, 0); };
-    const cancelEdit = () => { setFormData({ title: '', date: '', sphere: 'Federal' }); setEditingId(null); };
+    const handleEditClick = (obligation) => { setFormData(toObligationForm(obligation)); setEditingId(obligation.id); window.scrollTo(0, 0); };
+    const cancelEdit = () => { setFormData(EMPTY_OBLIGATION_FORM); setEditingId(null); };
+    const setRecurrenceField = (field, value) => setFormData({ ...formData, recurrence: { ...formData.recurrence, [field]: value } });
     
     const handleSubmit = async (e) => {
         e.preventDefault();
         if (!db) { alert("Serviço indisponível."); return; }
-        if (!formData.title || !formData.date) { return; }
+        if (!formData.title || (!formData.recurrence && !formData.date)) { return; }
         try {
             const obligationsRef = collection(db, obligationsCollectionPath);
+            // Obrigações recorrentes não guardam data fixa; o vencimento vem da regra.
+            const data = formData.recurrence ? { ...formData, date: '' } : formData;
+            const batch = writeBatch(db);
             if (editingId) {
-                const docRef = doc(obligationsRef, editingId);
-                await updateDoc(docRef, formData);
+                const before = obligations.find(ob => ob.id === editingId);
+                // Vencimento já publicado que mudou: o calendário público exibe "data alterada".
+                const dateChange = getDateChange(before, data);
+                addAuditedWrite(batch, { action: 'update', obligationRef: doc(obligationsRef, editingId), changes: dateChange ? { ...data, dateChange } : data, before, after: data });
             } else {
-                await addDoc(obligationsRef, formData);
+                addAuditedWrite(batch, { action: 'create', obligationRef: doc(obligationsRef), changes: data, after: data });
             }
+            await batch.commit();
             cancelEdit();
         } catch (error) { console.error("Erro ao salvar:", error); }
     };
     
     const handleDeleteClick = (id) => { setShowConfirmModal(id); };
 
+    // Ao sair, o listener de autenticação do App volta à sessão anônima.
+    const handleLogout = async () => {
+        try { await signOut(auth); } catch (error) { console.error("Erro ao sair:", error); }
+        setView('calendar');
+    };
+
+    // A exclusão é lógica: a obrigação vai para a lixeira e pode ser restaurada.
     const confirmDelete = async () => {
         if (!db || !showConfirmModal) { return; }
         try {
-            const docRef = doc(db, obligationsCollectionPath, showConfirmModal);
-            await deleteDoc(docRef);
+            const before = obligations.find(ob => ob.id === showConfirmModal);
+            const batch = writeBatch(db);
+            addAuditedWrite(batch, { action: 'delete', obligationRef: doc(db, obligationsCollectionPath, showConfirmModal), changes: { deletedAt: serverTimestamp() }, before });
+            await batch.commit();
             setShowConfirmModal(null);
+            if (editingId === showConfirmModal) { cancelEdit(); }
         } catch (error) { console.error("Erro ao excluir:", error); }
     };
 
+    const handleRestore = async (obligation) => {
+        if (!db) { return; }
+        try {
+            const batch = writeBatch(db);
+            addAuditedWrite(batch, { action: 'restore', obligationRef: doc(db, obligationsCollectionPath, obligation.id), changes: { deletedAt: null }, after: obligation });
+            await batch.commit();
+        } catch (error) { console.error("Erro ao restaurar:", error); }
+    };
+
+    const toggleHistory = (id) => setHistoryId(historyId === id ? null : id);
+
     return (
         <>
             <div className="p-4 md:p-8">
                 <div className="max-w-4xl mx-auto bg-white rounded-2xl shadow-lg p-6">
-                    <div className="flex justify-between items-center mb-6 border-b pb-4"><h1 className="text-2xl font-bold text-blue-800">Painel de Controle</h1><button onClick={() => setView('calendar')} className="text-sm text-blue-500 hover:underline">Ver Calendário</button></div>
-                    <div className="bg-gray-50 p-6 rounded-lg mb-8"><h2 className="text-xl font-semibold text-gray-700 mb-4">{editingId ? "Editando Obrigação" : "Adicionar Nova Obrigação"}</h2><form onSubmit={handleSubmit} className="grid grid-cols-1 md:grid-cols-3 gap-4"><div className="md:col-span-2"><label htmlFor="title" className="block text-sm font-medium text-gray-600">Título</label><input type="text" id="title" value={formData.title} onChange={e => setFormData({...formData, title: e.target.value})} className="mt-1 w-full px-3 py-2 border rounded-md shadow-sm"/></div><div><label htmlFor="date" className="block text-sm font-medium text-gray-600">Vencimento</label><input type="date" id="date" value={formData.date} onChange={e => setFormData({...formData, date: e.target.value})} className="mt-1 w-full px-3 py-2 border rounded-md shadow-sm"/></div><div><label htmlFor="sphere" className="block text-sm font-medium text-gray-600">Esfera</label><select id="sphere" value={formData.sphere} onChange={e => setFormData({...formData, sphere: e.target.value})} className="mt-1 w-full px-3 py-2 border rounded-md shadow-sm bg-white"><option>Federal</option><option>Estadual</option><option>Municipal</option></select></div><div className="md:col-span-3 flex items-center justify-end space-x-3 mt-2">{editingId && <button type="button" onClick={cancelEdit} className="px-4 py-2 bg-gray-500 text-white font-semibold rounded-lg hover:bg-gray-600">Cancelar</button>}<button type="submit" className="px-6 py-2 bg-blue-600 text-white font-semibold rounded-lg hover:bg-blue-700">{editingId ? 'Atualizar' : 'Adicionar'}</button></div></form></div>
-                    <div><h2 className="text-xl font-semibold text-gray-700 mb-4">Obrigações Cadastradas</h2><div className="space-y-3">{obligations.length > 0 ? obligations.map(ob => (<div key={ob.id} className="flex items-center justify-between bg-white p-3 rounded-lg border shadow-sm"><div><p className="font-bold">{ob.title}</p><p className="text-sm text-gray-500">{new Date(ob.date + 'T00:00:00').toLocaleDateString('pt-BR')} - <span className={`font-semibold ${getSphereTextColor(ob.sphere)}`}>{ob.sphere}</span></p></div><div className="flex items-center space-x-3"><button onClick={() => handleEditClick(ob)} className="p-2 text-blue-600"><EditIcon/></button><button onClick={() => handleDeleteClick(ob.id)} className="p-2 text-red-500"><TrashIcon/></button></div></div>)) : <p className="text-center text-gray-500 py-4">Nenhuma obrigação cadastrada.</p>}</div></div>
+                    <div className="flex justify-between items-center mb-6 border-b pb-4"><h1 className="text-2xl font-bold text-blue-800">Painel de Controle</h1><div className="flex items-center space-x-4"><button onClick={() => setView('calendar')} className="text-sm text-blue-500 hover:underline">Ver Calendário</button><button onClick={handleLogout} className="text-sm text-gray-500 hover:underline">Sair</button></div></div>
+                    <div className="flex space-x-2 mb-6" role="tablist">
+                        {Object.entries(ADMIN_TABS).map(([key, label]) => <button key={key} role="tab" aria-selected={tab === key} onClick={() => setTab(key)} className={`px-4 py-2 text-sm font-semibold rounded-lg ${tab === key ? 'bg-blue-600 text-white' : 'text-gray-600 hover:bg-gray-100'}`}>{label}</button>)}
+                    </div>
+                    {tab === 'obligations' && (<>
+                        <div className="bg-gray-50 p-6 rounded-lg mb-8"><h2 className="text-xl font-semibold text-gray-700 mb-4">{editingId ? "Editando Obrigação" : "Adicionar Nova Obrigação"}</h2><form onSubmit={handleSubmit} className="grid grid-cols-1 md:grid-cols-3 gap-4"><div className="md:col-span-2"><label htmlFor="title" className="block text-sm font-medium text-gray-600">Título</label><input type="text" id="title" value={formData.title} onChange={e => setFormData({...formData, title: e.target.value})} className="mt-1 w-full px-3 py-2 border rounded-md shadow-sm"/></div>{!formData.recurrence && <div><label htmlFor="date" className="block text-sm font-medium text-gray-600">Vencimento</label><input type="date" id="date" value={formData.date} onChange={e => setFormData({...formData, date: e.target.value})} className="mt-1 w-full px-3 py-2 border rounded-md shadow-sm"/><NonBusinessDayWarning date={formData.date} uf={formData.uf} municipality={formData.municipality} /></div>}<div><label htmlFor="sphere" className="block text-sm font-medium text-gray-600">Esfera</label><select id="sphere" value={formData.sphere} onChange={e => setFormData({...formData, sphere: e.target.value})} className="mt-1 w-full px-3 py-2 border rounded-md shadow-sm bg-white">{SPHERES.map(sphere => <option key={sphere}>{sphere}</option>)}</select></div><div><label htmlFor="uf" className="block text-sm font-medium text-gray-600">UF</label><select id="uf" value={formData.uf} onChange={e => setFormData({...formData, uf: e.target.value})} className="mt-1 w-full px-3 py-2 border rounded-md shadow-sm bg-white"><option value="">Todas</option>{UFS.map(uf => <option key={uf}>{uf}</option>)}</select></div><div><label htmlFor="municipality" className="block text-sm font-medium text-gray-600">Município</label><input type="text" id="municipality" disabled={!formData.uf} value={formData.municipality} onChange={e => setFormData({...formData, municipality: e.target.value})} className="mt-1 w-full px-3 py-2 border rounded-md shadow-sm disabled:bg-gray-100"/></div><div><label htmlFor="kind" className="block text-sm font-medium text-gray-600">Periodicidade</label><select id="kind" value={formData.recurrence ? 'recurring' : 'single'} onChange={e => setFormData({...formData, recurrence: e.target.value === 'recurring' ? DEFAULT_RECURRENCE : null})} className="mt-1 w-full px-3 py-2 border rounded-md shadow-sm bg-white"><option value="single">Data única</option><option value="recurring">Recorrente</option></select></div><fieldset className="md:col-span-3"><legend className="block text-sm font-medium text-gray-600">Regimes (nenhum marcado = todos)</legend><div className="mt-1 flex flex-wrap gap-4">{REGIMES.map(regime => <label key={regime} className="inline-flex items-center space-x-2 text-sm"><input type="checkbox" checked={formData.regimes.includes(regime)} onChange={e => setFormData({...formData, regimes: e.target.checked ? [...formData.regimes, regime] : formData.regimes.filter(r => r !== regime)})}/><span>{regime}</span></label>)}</div></fieldset>
+                        {formData.recurrence && <RecurrenceFields recurrence={formData.recurrence} onChange={setRecurrenceField} />}
+                        <div className="md:col-span-3 grid grid-cols-1 md:grid-cols-3 gap-4 border-t pt-4">
+                            <div className="md:col-span-3"><label htmlFor="description" className="block text-sm font-medium text-gray-600">Descrição</label><textarea id="description" rows="3" value={formData.description} onChange={e => setFormData({...formData, description: e.target.value})} className="mt-1 w-full px-3 py-2 border rounded-md shadow-sm"/></div>
+                            <div><label htmlFor="legalBasis" className="block text-sm font-medium text-gray-600">Base legal</label><input type="text" id="legalBasis" placeholder="Ex.: IN RFB nº 2.005/2021" value={formData.legalBasis} onChange={e => setFormData({...formData, legalBasis: e.target.value})} className="mt-1 w-full px-3 py-2 border rounded-md shadow-sm"/></div>
+                            <div><label htmlFor="taxpayerProfile" className="block text-sm font-medium text-gray-600">Contribuintes obrigados</label><input type="text" id="taxpayerProfile" placeholder="Ex.: Empregadores em geral" value={formData.taxpayerProfile} onChange={e => setFormData({...formData, taxpayerProfile: e.target.value})} className="mt-1 w-full px-3 py-2 border rounded-md shadow-sm"/></div>
+                            <div><label htmlFor="revenueCode" className="block text-sm font-medium text-gray-600">Código de receita (DARF/GPS)</label><input type="text" id="revenueCode" value={formData.revenueCode} onChange={e => setFormData({...formData, revenueCode: e.target.value})} className="mt-1 w-full px-3 py-2 border rounded-md shadow-sm"/></div>
+                            <div className="md:col-span-3"><label htmlFor="officialUrl" className="block text-sm font-medium text-gray-600">Link oficial</label><input type="url" id="officialUrl" placeholder="https://www.gov.br/receitafederal/..." value={formData.officialUrl} onChange={e => setFormData({...formData, officialUrl: e.target.value})} className="mt-1 w-full px-3 py-2 border rounded-md shadow-sm"/></div>
+                        </div>
+                        <div className="md:col-span-3 flex items-center justify-end space-x-3 mt-2">{editingId && <button type="button" onClick={cancelEdit} className="px-4 py-2 bg-gray-500 text-white font-semibold rounded-lg hover:bg-gray-600">Cancelar</button>}<button type="submit" className="px-6 py-2 bg-blue-600 text-white font-semibold rounded-lg hover:bg-blue-700">{editingId ? 'Atualizar' : 'Adicionar'}</button></div></form></div>
+                        <div><h2 className="text-xl font-semibold text-gray-700 mb-4">Obrigações Cadastradas</h2><div className="space-y-3">{obligations.length > 0 ? obligations.map(ob => (<div key={ob.id} className="bg-white p-3 rounded-lg border shadow-sm"><div className="flex items-center justify-between"><div><p className="font-bold">{ob.title}</p><p className="text-sm text-gray-500">{ob.recurrence ? describeRecurrence(ob.recurrence) : new Date(ob.date + 'T00:00:00').toLocaleDateString('pt-BR')} - <span className={`font-semibold ${getSphereTextColor(ob.sphere)}`}>{ob.sphere}</span>{ob.uf && ` - ${ob.municipality ? `${ob.municipality}/` : ''}${ob.uf}`}{ob.regimes?.length > 0 && ` - ${ob.regimes.join(', ')}`}</p><NonBusinessDayWarning date={ob.recurrence ? '' : ob.date} uf={ob.uf} municipality={ob.municipality} /></div><div className="flex items-center space-x-3"><button onClick={() => toggleHistory(ob.id)} aria-expanded={historyId === ob.id} className="text-sm text-gray-500 hover:underline">Histórico</button><button onClick={() => handleEditClick(ob)} aria-label="Editar" className="p-2 text-blue-600"><EditIcon/></button><button onClick={() => handleDeleteClick(ob.id)} aria-label="Mover para a lixeira" className="p-2 text-red-500"><TrashIcon/></button></div></div>{historyId === ob.id && <ObligationHistory obligationId={ob.id} />}</div>)) : <p className="text-center text-gray-500 py-4">Nenhuma obrigação cadastrada.</p>}</div></div>
+                    </>)}
+                    {tab === 'clients' && <ClientsPanel obligations={obligations} clients={clients} checklist={checklist} onOpenChecklist={setChecklist} />}
+                    {tab === 'overdue' && <OverdueDashboard obligations={obligations} clients={clients} onOpenChecklist={(value) => { setChecklist(value); setTab('clients'); }} />}
+                    {tab === 'trash' && <TrashPanel obligations={deletedObligations} onRestore={handleRestore} historyId={historyId} onToggleHistory={toggleHistory} />}
+                    {tab === 'transfer' && <ImportExportPanel obligations={obligations} />}
+                    {tab === 'subscribers' && <SubscribersPanel />}
                 </div>
             </div>
-            {showConfirmModal && <ConfirmModal message="Tem certeza que deseja excluir esta obrigação? A ação não pode ser desfeita." onConfirm={confirmDelete} onCancel={() => setShowConfirmModal(null)} />}
+            {showConfirmModal && <ConfirmModal message="Mover esta obrigação para a lixeira? Ela deixa de aparecer no calendário e pode ser restaurada depois." onConfirm={confirmDelete} onCancel={() => setShowConfirmModal(null)} />}
         </>
     );
 }
 
-// --- COMPONENTE DO CALENDÁRIO ---
-function Calendar({ currentDate, onPrevMonth, onNextMonth, onGoToToday, obligations, loading }) {
-  const monthName = currentDate.toLocaleString('pt-BR', { month: 'long' });
-  const year = currentDate.getFullYear();
-  const calendarDays = useMemo(() => { const days = []; const firstDayOfMonth = new Date(year, currentDate.getMonth(), 1); const lastDayOfMonth = new Date(year, currentDate.getMonth() + 1, 0); const startDayOfWeek = firstDayOfMonth.getDay(); const totalDaysInMonth = lastDayOfMonth.getDate(); const lastDayOfPrevMonth = new Date(year, currentDate.getMonth(), 0).getDate(); for (let i = startDayOfWeek - 1; i >= 0; i--) { days.push({ date: new Date(year, currentDate.getMonth() - 1, lastDayOfPrevMonth - i), isCurrentMonth: false }); } for (let i = 1; i <= totalDaysInMonth; i++) { const date = new Date(year, currentDate.getMonth(), i); const dateString = `${year}-${String(currentDate.getMonth() + 1).padStart(2, '0')}-${String(i).padStart(2, '0')}`; days.push({ date: date, isCurrentMonth: true, isToday: date.toDateString() === new Date().toDateString(), obligations: obligations.filter(o => o.date === dateString) }); } const remainingDays = (7 - (days.length % 7)) % 7; for (let i = 1; i <= remainingDays; i++) { days.push({ date: new Date(year, currentDate.getMonth() + 1, i), isCurrentMonth: false }) } return days; }, [currentDate, obligations, year]);
-  const weekDays = ['Dom', 'Seg', 'Ter', 'Qua', 'Qui', 'Sex', 'Sáb'];
-  return (
-    <div className="w-full">
-        <div className="flex items-center justify-between mb-4">
-            <div className="flex items-center space-x-2">
-                <button onClick={onGoToToday} className="px-4 py-2 text-sm font-semibold text-gray-600 border rounded-lg hover:bg-gray-100">Hoje</button>
-                <div className="flex items-center rounded-lg border">
-                    <button onClick={onPrevMonth} className="p-2 text-gray-600 hover:bg-gray-100 rounded-l-md"><ChevronLeftIcon /></button>
-                    <button onClick={onNextMonth} className="p-2 text-gray-600 border-l hover:bg-gray-100 rounded-r-md"><ChevronRightIcon /></button>
+// --- BARRA DE FILTROS DA VIEW PÚBLICA ---
+function FilterBar({ filters, onChange }) {
+    const [copied, setCopied] = useState(false);
+    const selectClass = "px-3 py-2 border rounded-md shadow-sm bg-white text-sm";
+    const setFilter = (field, value) => onChange({ ...filters, [field]: value });
+
+    const copyLink = async () => {
+        try {
+            await navigator.clipboard.writeText(window.location.href);
+            setCopied(true);
+            setTimeout(() => setCopied(false), 2000);
+        } catch (error) { console.error("Erro ao copiar o link:", error); }
+    };
+
+    return (
+        <div className="flex flex-wrap items-end gap-3 mb-6 p-4 bg-gray-50 rounded-lg">
+            <div className="flex flex-col"><label htmlFor="filter-sphere" className="text-xs font-medium text-gray-600">Esfera</label><select id="filter-sphere" value={filters.sphere} onChange={e => setFilter('sphere', e.target.value)} className={selectClass}><option value="">Todas</option>{SPHERES.map(sphere => <option key={sphere}>{sphere}</option>)}</select></div>
+            <div className="flex flex-col"><label htmlFor="filter-regime" className="text-xs font-medium text-gray-600">Regime</label><select id="filter-regime" value={filters.regime} onChange={e => setFilter('regime', e.target.value)} className={selectClass}><option value="">Todos</option>{REGIMES.map(regime => <option key={regime}>{regime}</option>)}</select></div>
+            <div className="flex flex-col"><label htmlFor="filter-uf" className="text-xs font-medium text-gray-600">UF</label><select id="filter-uf" value={filters.uf} onChange={e => setFilter('uf', e.target.value)} className={selectClass}><option value="">Todas</option>{UFS.map(uf => <option key={uf}>{uf}</option>)}</select></div>
+            <div className="flex flex-col flex-1 min-w-[12rem]"><label htmlFor="filter-q" className="text-xs font-medium text-gray-600">Buscar</label><input type="search" id="filter-q" placeholder="Ex.: DCTFWeb, 2100, IN RFB..." value={filters.q} onChange={e => setFilter('q', e.target.value)} className={selectClass}/></div>
+            {hasActiveFilters(filters) && <button type="button" onClick={() => onChange(EMPTY_FILTERS)} className="px-3 py-2 text-sm text-gray-600 hover:underline">Limpar</button>}
+            <button type="button" onClick={copyLink} className="px-3 py-2 text-sm font-semibold text-blue-600 border border-blue-600 rounded-md hover:bg-blue-50">{copied ? 'Link copiado!' : 'Copiar link'}</button>
+        </div>
+    );
+}
+
+// --- EXPORTAÇÃO PARA AGENDAS EXTERNAS (.ics) ---
+// VITE_ICS_FEED_URL aponta para o feed publicado por `npm run build:ics`, se houver.
+const icsFeedUrl = import.meta.env.VITE_ICS_FEED_URL;
+
+function CalendarExportActions({ obligations }) {
+    const handleDownload = () => {
+        const ics = buildICalendar(obligations, getDefaultExportRange());
+        downloadFile(ics, 'calendario-fiscal.ics', 'text/calendar;charset=utf-8');
+    };
+
+    return (
+        <div className="flex flex-wrap justify-end items-center gap-3 mb-4 text-sm">
+            {icsFeedUrl && <a href={icsFeedUrl.replace(/^https?:/, 'webcal:')} className="text-blue-600 hover:underline">Assinar feed (.ics)</a>}
+            <button type="button" onClick={() => window.print()} className="px-4 py-2 font-semibold text-blue-600 border border-blue-600 rounded-lg hover:bg-blue-50">Imprimir / Salvar PDF</button>
+            <button type="button" onClick={handleDownload} disabled={obligations.length === 0} className="px-4 py-2 font-semibold text-white bg-blue-600 rounded-lg hover:bg-blue-700 disabled:bg-gray-400">Adicionar à minha agenda</button>
+        </div>
+    );
+}
+
+// --- IMPRESSÃO DO CALENDÁRIO MENSAL ---
+// Verdadeiro enquanto o navegador prepara a impressão, inclusive pelo Ctrl+P.
+// O flushSync garante que a versão impressa já esteja no DOM ao paginar.
+function usePrinting() {
+    const [printing, setPrinting] = useState(false);
+
+    useEffect(() => {
+        const handleBeforePrint = () => flushSync(() => setPrinting(true));
+        const handleAfterPrint = () => setPrinting(false);
+        window.addEventListener('beforeprint', handleBeforePrint);
+        window.addEventListener('afterprint', handleAfterPrint);
+        return () => {
+            window.removeEventListener('beforeprint', handleBeforePrint);
+            window.removeEventListener('afterprint', handleAfterPrint);
+        };
+    }, []);
+
+    return printing;
+}
+
+// Mês da data em foco, qualquer que seja a visão na tela, em A4 paisagem (ver
+// @page em index.css). Traz os títulos completos e a legenda das cores.
+function PrintableMonth({ date, obligations, holidayCalendar, getChipColor = (ob) => getSphereColor(ob.sphere), subtitle, legend }) {
+    const weeks = useMemo(() => {
+        const range = getVisibleRange('month', date);
+        const occurrences = expandObligations(obligations, range.from, range.to);
+        return chunkWeeks(buildMonthDays(date.getFullYear(), date.getMonth(), { occurrencesByDate: groupByDate(occurrences), holidayCalendar }));
+    }, [date, obligations, holidayCalendar]);
+
+    return (
+        <div className="hidden print:block text-black">
+            <div className="flex items-baseline justify-between border-b-2 border-blue-800 pb-1 mb-2">
+                <h1 className="text-lg font-bold text-blue-800">Calendário Fiscal · <span className="capitalize">{formatViewTitle('month', date)}</span></h1>
+                {subtitle && <p className="text-xs text-gray-600">{subtitle}</p>}
+            </div>
+            <table className="w-full table-fixed border-collapse text-[8pt] leading-tight">
+                <thead>
+                    <tr>{WEEK_DAYS.map(day => <th key={day} scope="col" className="border border-gray-400 bg-gray-100 py-0.5 font-semibold">{day}</th>)}</tr>
+                </thead>
+                <tbody>
+                    {weeks.map((week, index) => (
+                        <tr key={index} className="break-inside-avoid">
+                            {week.map(day => (
+                                <td key={toISODate(day.date)} className={`border border-gray-400 p-1 align-top ${weeks.length > 5 ? 'h-[27mm]' : 'h-[32mm]'} ${day.isCurrentMonth ? '' : 'bg-gray-50 text-gray-400'} ${day.holiday ? 'bg-red-50' : ''}`}>
+                                    <span className="font-semibold">{day.date.getDate()}</span>
+                                    {day.holiday && <span className="ml-1 text-red-600">{day.holiday.name}</span>}
+                                    <ul className="mt-0.5 space-y-0.5">
+                                        {day.obligations.map(ob => (
+                                            <li key={ob.id} className="flex items-start gap-1">
+                                                <span className={`mt-[2pt] h-[6pt] w-[6pt] shrink-0 rounded-full ${getChipColor(ob)}`} aria-hidden="true"></span>
+                                                <span>{ob.title}<DateChangedBadge obligation={ob} compact /></span>
+                                            </li>
+                                        ))}
+                                    </ul>
+                                </td>
+                            ))}
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+            <div className="flex flex-wrap items-center gap-4 mt-2 text-[8pt]">
+                <span className="font-semibold">Legenda:</span>
+                {legend.map(({ label, color }) => <span key={label} className="inline-flex items-center gap-1"><span className={`inline-block h-[6pt] w-[6pt] rounded-full ${color}`}></span><span>{label}</span></span>)}
+                <span className="inline-flex items-center gap-1"><span className="inline-block h-[6pt] w-[6pt] border border-gray-400 bg-red-50"></span><span>Feriado</span></span>
+                <span className="ml-auto text-gray-500">Impresso em {new Date().toLocaleDateString('pt-BR')}</span>
+            </div>
+        </div>
+    );
+}
+
+// --- CONFIRMAÇÃO E DESCADASTRO PELOS LINKS ENVIADOS POR E-MAIL ---
+function SubscriptionLinkNotice() {
+    const [link] = useState(() => parseSubscriptionLink(window.location.search));
+    const [status, setStatus] = useState(link ? { message: 'Processando...', isError: false } : null);
+    const handledRef = useRef(false);
+
+    useEffect(() => {
+        if (!link || handledRef.current) { return; }
+        handledRef.current = true;
+        // Remove o token da barra de endereços antes de qualquer outra coisa.
+        const params = new URLSearchParams(window.location.search);
+        params.delete(link.param);
+        window.history.replaceState(null, '', `${window.location.pathname}${params.size ? `?${params}` : ''}${window.location.hash}`);
+
+        if (!db) { setStatus({ message: 'Serviço indisponível. Tente o link novamente mais tarde.', isError: true }); return; }
+        const subscriberDocRef = doc(db, subscribersCollectionPath, link.subscriberId);
+        const update = link.action === 'confirm'
+            ? { status: 'confirmed', confirmedAt: serverTimestamp(), confirmationProof: link.token }
+            : { status: 'unsubscribed', unsubscribedAt: serverTimestamp(), unsubscribeProof: link.token };
+        updateDoc(subscriberDocRef, update)
+            .then(() => setStatus({ message: link.action === 'confirm' ? 'Inscrição confirmada! Você passará a receber os lembretes.' : 'Inscrição cancelada. Você não receberá mais lembretes.', isError: false }))
+            .catch((error) => {
+                console.error("Erro ao processar o link:", error);
+                setStatus({ message: 'Link inválido ou já utilizado.', isError: true });
+            });
+    }, [link]);
+
+    if (!status) { return null; }
+    return (
+        <div className={`border-l-4 p-4 mb-6 rounded-md ${status.isError ? 'bg-red-100 border-red-500 text-red-700' : 'bg-green-100 border-green-500 text-green-700'}`} role="status">
+            <p>{status.message}</p>
+        </div>
+    );
+}
+
+// --- CLIENTES E ENTREGAS (VER src/lib/clients.js) ---
+// Coleções restritas a administradores; `enabled` evita a assinatura (e o erro
+// de permissão) para os demais visitantes.
+function useClients(enabled) {
+    const [clients, setClients] = useState([]);
+    useEffect(() => {
+        if (!db || !enabled) { return; }
+        const unsubscribe = onSnapshot(collection(db, clientsCollectionPath), (snapshot) => {
+            setClients(snapshot.docs.map(d => ({ id: d.id, ...d.data() })).sort((a, b) => a.name.localeCompare(b.name)));
+        }, (error) => console.error("Erro ao buscar clientes:", error));
+        return () => unsubscribe();
+    }, [enabled]);
+    return enabled ? clients : [];
+}
+
+// Entregas de um cliente (ou de todos, sem `clientId`), num Map id → entrega.
+function useFilings(clientId, enabled = true) {
+    const [filings, setFilings] = useState({ key: null, byId: new Map() });
+    const key = enabled ? clientId ?? '*' : null;
+    useEffect(() => {
+        if (!db || key === null) { return; }
+        const filingsRef = collection(db, filingsCollectionPath);
+        const unsubscribe = onSnapshot(key === '*' ? filingsRef : query(filingsRef, where('clientId', '==', key)), (snapshot) => {
+            setFilings({ key, byId: new Map(snapshot.docs.map(d => [d.id, d.data()])) });
+        }, (error) => console.error("Erro ao buscar entregas:", error));
+        return () => unsubscribe();
+    }, [key]);
+    // Enquanto as entregas do novo cliente não chegam, não mostra as do anterior.
+    return filings.key === key ? filings.byId : EMPTY_FILINGS;
+}
+
+const EMPTY_FILINGS = new Map();
+
+function ClientSelector({ clients, value, onChange }) {
+    return (
+        <div className="flex flex-wrap items-center gap-3 mb-4 text-sm">
+            <label htmlFor="client-selector" className="font-medium text-gray-600">Cliente</label>
+            <select id="client-selector" value={value} onChange={e => onChange(e.target.value)} className="px-3 py-2 border rounded-md shadow-sm bg-white">
+                <option value="">Nenhum (calendário geral)</option>
+                {clients.map(client => <option key={client.id} value={client.id}>{client.name} - {formatCnpj(client.cnpj)}</option>)}
+            </select>
+            {value && Object.entries(FILING_STATUSES).map(([status, label]) => <span key={status} className="inline-flex items-center space-x-1 text-gray-600"><span className={`inline-block h-3 w-3 rounded ${getFilingStatusColor(status)}`}></span><span>{label}</span></span>)}
+        </div>
+    );
+}
+
+function ClientsPanel({ obligations, clients, checklist, onOpenChecklist }) {
+    const [formData, setFormData] = useState(EMPTY_CLIENT);
+    const [editingId, setEditingId] = useState(null);
+    const [formError, setFormError] = useState('');
+    const [clientToDelete, setClientToDelete] = useState(null);
+    const checklistClient = clients.find(client => client.id === checklist?.clientId);
+
+    const cancelEdit = () => { setFormData(EMPTY_CLIENT); setEditingId(null); setFormError(''); };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!db) { return; }
+        const cnpj = normalizeCnpj(formData.cnpj);
+        if (!formData.name.trim() || !formData.regime || !formData.uf) { setFormError('Preencha nome, regime e UF.'); return; }
+        if (!isValidCnpj(cnpj)) { setFormError('CNPJ inválido.'); return; }
+        if (clients.some(client => client.cnpj === cnpj && client.id !== editingId)) { setFormError('Já existe um cliente com este CNPJ.'); return; }
+        try {
+            const clientsRef = collection(db, clientsCollectionPath);
+            await setDoc(editingId ? doc(clientsRef, editingId) : doc(clientsRef), { ...formData, cnpj, name: formData.name.trim(), municipality: formData.municipality.trim() });
+            cancelEdit();
+        } catch (error) { console.error("Erro ao salvar cliente:", error); setFormError('Não foi possível salvar o cliente.'); }
+    };
+
+    // Remove o cliente e o histórico de entregas dele.
+    const confirmDelete = async () => {
+        try {
+            const filingsSnapshot = await getDocs(query(collection(db, filingsCollectionPath), where('clientId', '==', clientToDelete.id)));
+            await deleteInBatches([...filingsSnapshot.docs.map(d => d.ref), doc(db, clientsCollectionPath, clientToDelete.id)]);
+            if (checklist?.clientId === clientToDelete.id) { onOpenChecklist(null); }
+            setClientToDelete(null);
+        } catch (error) { console.error("Erro ao excluir cliente:", error); }
+    };
+
+    return (
+        <div className="space-y-8">
+            {checklistClient && <ClientChecklist key={`${checklistClient.id}-${checklist.month}`} client={checklistClient} obligations={obligations} initialMonth={checklist.month} onClose={() => onOpenChecklist(null)} />}
+            <div className="bg-gray-50 p-6 rounded-lg">
+                <h2 className="text-xl font-semibold text-gray-700 mb-4">{editingId ? 'Editando Cliente' : 'Adicionar Cliente'}</h2>
+                <form onSubmit={handleSubmit} className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                    <div className="md:col-span-2"><label htmlFor="client-name" className="block text-sm font-medium text-gray-600">Razão social</label><input type="text" id="client-name" value={formData.name} onChange={e => setFormData({ ...formData, name: e.target.value })} className="mt-1 w-full px-3 py-2 border rounded-md shadow-sm"/></div>
+                    <div><label htmlFor="client-cnpj" className="block text-sm font-medium text-gray-600">CNPJ</label><input type="text" id="client-cnpj" inputMode="numeric" placeholder="00.000.000/0000-00" value={formData.cnpj} onChange={e => setFormData({ ...formData, cnpj: e.target.value })} className="mt-1 w-full px-3 py-2 border rounded-md shadow-sm"/></div>
+                    <div><label htmlFor="client-regime" className="block text-sm font-medium text-gray-600">Regime</label><select id="client-regime" value={formData.regime} onChange={e => setFormData({ ...formData, regime: e.target.value })} className="mt-1 w-full px-3 py-2 border rounded-md shadow-sm bg-white"><option value="">Selecione</option>{REGIMES.map(regime => <option key={regime}>{regime}</option>)}</select></div>
+                    <div><label htmlFor="client-uf" className="block text-sm font-medium text-gray-600">UF</label><select id="client-uf" value={formData.uf} onChange={e => setFormData({ ...formData, uf: e.target.value })} className="mt-1 w-full px-3 py-2 border rounded-md shadow-sm bg-white"><option value="">Selecione</option>{UFS.map(uf => <option key={uf}>{uf}</option>)}</select></div>
+                    <div><label htmlFor="client-municipality" className="block text-sm font-medium text-gray-600">Município</label><input type="text" id="client-municipality" value={formData.municipality} onChange={e => setFormData({ ...formData, municipality: e.target.value })} className="mt-1 w-full px-3 py-2 border rounded-md shadow-sm"/></div>
+                    <div><label htmlFor="client-tracking-start" className="block text-sm font-medium text-gray-600">Acompanhar a partir de</label><input type="date" id="client-tracking-start" value={formData.trackingStart} onChange={e => setFormData({ ...formData, trackingStart: e.target.value })} className="mt-1 w-full px-3 py-2 border rounded-md shadow-sm"/></div>
+                    <div className="md:col-span-3 flex items-center justify-end space-x-3">
+                        {formError && <p className="text-sm text-red-500 mr-auto">{formError}</p>}
+                        {editingId && <button type="button" onClick={cancelEdit} className="px-4 py-2 bg-gray-500 text-white font-semibold rounded-lg hover:bg-gray-600">Cancelar</button>}
+                        <button type="submit" className="px-6 py-2 bg-blue-600 text-white font-semibold rounded-lg hover:bg-blue-700">{editingId ? 'Atualizar' : 'Adicionar'}</button>
+                    </div>
+                </form>
+            </div>
+            <div>
+                <h2 className="text-xl font-semibold text-gray-700 mb-4">Clientes ({clients.length})</h2>
+                <div className="space-y-3">
+                    {clients.length > 0 ? clients.map(client => (
+                        <div key={client.id} className="flex items-center justify-between bg-white p-3 rounded-lg border shadow-sm">
+                            <div>
+                                <p className="font-bold">{client.name}</p>
+                                <p className="text-sm text-gray-500">{formatCnpj(client.cnpj)} - {client.regime} - {client.municipality ? `${client.municipality}/` : ''}{client.uf}</p>
+                            </div>
+                            <div className="flex items-center space-x-3">
+                                <button onClick={() => onOpenChecklist({ clientId: client.id, month: toISODate(new Date()).slice(0, 7) })} className="text-sm text-blue-600 hover:underline">Checklist</button>
+                                <button onClick={() => { setFormData({ ...Object.fromEntries(Object.keys(EMPTY_CLIENT).map(key => [key, client[key] ?? ''])), cnpj: formatCnpj(client.cnpj) }); setEditingId(client.id); setFormError(''); }} aria-label={`Editar ${client.name}`} className="p-2 text-blue-600"><EditIcon/></button>
+                                <button onClick={() => setClientToDelete(client)} aria-label={`Excluir ${client.name}`} className="p-2 text-red-500"><TrashIcon/></button>
+                            </div>
+                        </div>
+                    )) : <p className="text-center text-gray-500 py-4">Nenhum cliente cadastrado.</p>}
                 </div>
             </div>
-            <h2 className="text-xl md:text-2xl font-semibold capitalize w-48 text-center">{monthName} {year}</h2>
-            <div className="w-48"></div>
+            {clientToDelete && <ConfirmModal message={`Excluir ${clientToDelete.name} e todo o histórico de entregas? A ação não pode ser desfeita.`} onConfirm={confirmDelete} onCancel={() => setClientToDelete(null)} />}
         </div>
-        <div className="grid grid-cols-7 border-t border-l">
-            {weekDays.map(day => (
-                <div key={day} className="text-center font-semibold text-xs sm:text-sm text-gray-500 py-3 bg-gray-50 border-b border-r">{day}</div>
-            ))}
-            {loading ? (
-                <div className="col-span-7 h-96 flex items-center justify-center"><p>Carregando...</p></div>
-            ) : (
-                calendarDays.map((day, index) => (
-                    <div key={index} className={`relative min-h-[120px] sm:min-h-[140px] p-2 border-b border-r ${day.isCurrentMonth ? 'bg-white hover:bg-gray-50' : 'bg-gray-50 text-gray-400'}`}>
-                        <span className={`text-sm font-semibold ${day.isToday ? 'bg-blue-600 text-white rounded-full flex items-center justify-center h-7 w-7' : ''}`}>{day.date.getDate()}</span>
-                        <div className="mt-1 space-y-1">
-                            {day.obligations?.map(ob => (
-                                <div key={ob.id} className={`text-xs p-1 rounded-md text-white ${getSphereColor(ob.sphere)}`}>{ob.title}</div>
+    );
+}
+
+// Checklist mensal de um cliente: uma linha por ocorrência das obrigações aplicáveis.
+function ClientChecklist({ client, obligations, initialMonth, onClose }) {
+    const [month, setMonth] = useState(initialMonth); // AAAA-MM
+    const filings = useFilings(client.id);
+    const occurrences = useMemo(() => {
+        const [year, monthNumber] = month.split('-').map(Number);
+        return getClientOccurrences(obligations, client, `${month}-01`, toISODate(new Date(year, monthNumber, 0)));
+    }, [obligations, client, month]);
+
+    return (
+        <div className="border rounded-lg p-4">
+            <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+                <div>
+                    <h2 className="text-xl font-semibold text-gray-700">Checklist - {client.name}</h2>
+                    <p className="text-sm text-gray-500">{formatCnpj(client.cnpj)} - {client.regime} - {client.uf}{client.trackingStart && ` - acompanhado desde ${formatFieldValue('date', client.trackingStart)}`}</p>
+                </div>
+                <div className="flex items-center space-x-3">
+                    <label htmlFor="checklist-month" className="text-sm text-gray-600">Mês</label>
+                    <input type="month" id="checklist-month" value={month} onChange={e => e.target.value && setMonth(e.target.value)} className="px-3 py-2 border rounded-md shadow-sm text-sm"/>
+                    <button onClick={onClose} className="text-sm text-gray-500 hover:underline">Fechar</button>
+                </div>
+            </div>
+            {occurrences.length > 0 ? (
+                <div className="overflow-x-auto">
+                    <table className="w-full text-sm text-left">
+                        <thead className="bg-gray-50"><tr><th className="p-2">Vencimento</th><th className="p-2">Obrigação</th><th className="p-2">Situação</th><th className="p-2">Entregue em</th><th className="p-2">Nº do recibo</th><th className="p-2"></th></tr></thead>
+                        <tbody>
+                            {occurrences.map(occurrence => {
+                                const filingId = getFilingId(client.id, occurrence);
+                                const filing = filings.get(filingId);
+                                return <FilingRow key={`${filingId}-${filing?.updatedAt?.toMillis?.() ?? ''}`} filingId={filingId} client={client} occurrence={occurrence} filing={filing} />;
+                            })}
+                        </tbody>
+                    </table>
+                </div>
+            ) : <p className="text-center text-gray-500 py-4">Nenhuma obrigação aplicável a este cliente no mês.</p>}
+        </div>
+    );
+}
+
+function FilingRow({ filingId, client, occurrence, filing }) {
+    const [form, setForm] = useState({ status: filing?.status ?? 'pendente', filedOn: filing?.filedOn ?? '', receiptNumber: filing?.receiptNumber ?? '' });
+    const [saving, setSaving] = useState(false);
+    const status = getFilingStatus(occurrence, filing);
+    const isDirty = form.status !== (filing?.status ?? 'pendente') || form.filedOn !== (filing?.filedOn ?? '') || form.receiptNumber !== (filing?.receiptNumber ?? '');
+
+    const handleSave = async () => {
+        setSaving(true);
+        try {
+            await setDoc(doc(db, filingsCollectionPath, filingId), {
+                clientId: client.id,
+                obligationId: occurrence.id,
+                date: occurrence.date,
+                status: form.status,
+                // Marcada como entregue sem data: considera entregue hoje.
+                filedOn: form.status === 'entregue' ? form.filedOn || toISODate(new Date()) : form.filedOn,
+                receiptNumber: form.receiptNumber.trim(),
+                updatedAt: serverTimestamp(),
+                updatedBy: auth.currentUser.email ?? auth.currentUser.uid,
+            });
+        } catch (error) {
+            console.error("Erro ao salvar entrega:", error);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <tr className="border-t">
+            <td className="p-2 whitespace-nowrap">{formatFieldValue('date', occurrence.date)}</td>
+            <td className="p-2"><span className={`inline-block h-2 w-2 rounded-full mr-2 ${getSphereColor(occurrence.sphere)}`} aria-hidden="true"></span>{occurrence.title}</td>
+            <td className="p-2">
+                <select value={form.status} onChange={e => setForm({ ...form, status: e.target.value })} aria-label={`Situação de ${occurrence.title}`} className="px-2 py-1 border rounded-md bg-white">
+                    {Object.entries(FILING_STATUSES).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+                </select>
+                {status !== form.status && !isDirty && <span className={`ml-2 inline-block rounded px-1 text-xs text-white ${getFilingStatusColor(status)}`}>{FILING_STATUSES[status]}</span>}
+            </td>
+            <td className="p-2"><input type="date" value={form.filedOn} onChange={e => setForm({ ...form, filedOn: e.target.value })} aria-label={`Data de entrega de ${occurrence.title}`} className="px-2 py-1 border rounded-md"/></td>
+            <td className="p-2"><input type="text" value={form.receiptNumber} onChange={e => setForm({ ...form, receiptNumber: e.target.value })} aria-label={`Número do recibo de ${occurrence.title}`} className="px-2 py-1 border rounded-md w-40"/></td>
+            <td className="p-2"><button onClick={handleSave} disabled={!isDirty || saving} className="px-3 py-1 text-sm font-semibold text-blue-600 border border-blue-600 rounded-lg hover:bg-blue-50 disabled:opacity-50">Salvar</button></td>
+        </tr>
+    );
+}
+
+// Painel de atrasos: ocorrências vencidas e não entregues de todos os clientes.
+function OverdueDashboard({ obligations, clients, onOpenChecklist }) {
+    const filings = useFilings();
+    const today = toISODate(new Date());
+    const items = useMemo(() => getOverdueItems(obligations, clients, filings, parseISODate(today)), [obligations, clients, filings, today]);
+    const clientsWithOverdue = new Set(items.map(item => item.client.id)).size;
+
+    return (
+        <div>
+            <h2 className="text-xl font-semibold text-gray-700 mb-2">Atrasos</h2>
+            <p className="text-sm text-gray-500 mb-4">{items.length === 0 ? 'Nenhuma entrega em atraso nos últimos 12 meses.' : `${items.length} entrega(s) em atraso em ${clientsWithOverdue} cliente(s), considerando os últimos 12 meses.`}</p>
+            {items.length > 0 && (
+                <div className="overflow-x-auto border rounded-lg">
+                    <table className="w-full text-sm text-left">
+                        <thead className="bg-gray-50"><tr><th className="p-2">Cliente</th><th className="p-2">Obrigação</th><th className="p-2">Vencimento</th><th className="p-2">Dias de atraso</th><th className="p-2"></th></tr></thead>
+                        <tbody>
+                            {items.map(({ client, occurrence }) => (
+                                <tr key={getFilingId(client.id, occurrence)} className="border-t">
+                                    <td className="p-2"><p className="font-semibold">{client.name}</p><p className="text-xs text-gray-500">{formatCnpj(client.cnpj)}</p></td>
+                                    <td className="p-2">{occurrence.title}</td>
+                                    <td className="p-2 whitespace-nowrap">{formatFieldValue('date', occurrence.date)}</td>
+                                    <td className="p-2 text-red-600 font-semibold">{Math.max(0, Math.round((parseISODate(today) - parseISODate(occurrence.date)) / 86400000))}</td>
+                                    <td className="p-2"><button onClick={() => onOpenChecklist({ clientId: client.id, month: occurrence.date.slice(0, 7) })} className="text-sm text-blue-600 hover:underline">Abrir checklist</button></td>
+                                </tr>
                             ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+}
+
+// --- LIXEIRA (PAINEL DE ADMINISTRAÇÃO) ---
+function TrashPanel({ obligations, onRestore, historyId, onToggleHistory }) {
+    return (
+        <div>
+            <h2 className="text-xl font-semibold text-gray-700 mb-2">Lixeira</h2>
+            <p className="text-sm text-gray-500 mb-4">Obrigações excluídas não aparecem no calendário, nos lembretes nem no feed .ics. Restaurá-las as publica de novo.</p>
+            <div className="space-y-3">
+                {obligations.length > 0 ? obligations.map(ob => (
+                    <div key={ob.id} className="bg-white p-3 rounded-lg border shadow-sm">
+                        <div className="flex items-center justify-between">
+                            <div>
+                                <p className="font-bold">{ob.title}</p>
+                                <p className="text-sm text-gray-500">{ob.recurrence ? describeRecurrence(ob.recurrence) : formatFieldValue('date', ob.date)} - <span className={`font-semibold ${getSphereTextColor(ob.sphere)}`}>{ob.sphere}</span></p>
+                                <p className="text-xs text-gray-400">Excluída em {formatTimestamp(ob.deletedAt)}<DeletedBy obligationId={ob.id} /></p>
+                            </div>
+                            <div className="flex items-center space-x-3">
+                                <button onClick={() => onToggleHistory(ob.id)} aria-expanded={historyId === ob.id} className="text-sm text-gray-500 hover:underline">Histórico</button>
+                                <button onClick={() => onRestore(ob)} className="px-3 py-1 text-sm font-semibold text-blue-600 border border-blue-600 rounded-lg hover:bg-blue-50">Restaurar</button>
+                            </div>
+                        </div>
+                        {historyId === ob.id && <ObligationHistory obligationId={ob.id} />}
+                    </div>
+                )) : <p className="text-center text-gray-500 py-4">A lixeira está vazia.</p>}
+            </div>
+        </div>
+    );
+}
+
+// Autor da exclusão, lido da entrada `delete` mais recente do auditLog.
+function DeletedBy({ obligationId }) {
+    const [actor, setActor] = useState(null);
+
+    useEffect(() => {
+        if (!db) { return; }
+        getDocs(query(collection(db, auditLogCollectionPath), where('obligationId', '==', obligationId), where('action', '==', 'delete')))
+            .then(snapshot => {
+                const latest = snapshot.docs.map(d => d.data()).sort((a, b) => (b.at?.toMillis?.() ?? 0) - (a.at?.toMillis?.() ?? 0))[0];
+                setActor(latest?.actor ?? null);
+            })
+            .catch(err => console.error("Erro ao carregar o autor da exclusão:", err));
+    }, [obligationId]);
+
+    return actor ? ` por ${actor.email ?? actor.uid}` : null;
+}
+
+// --- HISTÓRICO DE ALTERAÇÕES DE UMA OBRIGAÇÃO ---
+function ObligationHistory({ obligationId }) {
+    const [entries, setEntries] = useState(null);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        if (!db) { return; }
+        // Ordenado no cliente para não exigir um índice composto.
+        getDocs(query(collection(db, auditLogCollectionPath), where('obligationId', '==', obligationId)))
+            .then(snapshot => setEntries(snapshot.docs.map(d => ({ id: d.id, ...d.data() })).sort((a, b) => (b.at?.toMillis?.() ?? 0) - (a.at?.toMillis?.() ?? 0))))
+            .catch(err => { console.error("Erro ao carregar o histórico:", err); setError('Não foi possível carregar o histórico.'); });
+    }, [obligationId]);
+
+    if (error) { return <p className="mt-3 text-sm text-red-500">{error}</p>; }
+    if (!entries) { return <p className="mt-3 text-sm text-gray-500">Carregando histórico...</p>; }
+    if (entries.length === 0) { return <p className="mt-3 text-sm text-gray-500">Nenhuma alteração registrada (cadastro anterior à trilha de auditoria).</p>; }
+    return (
+        <ol className="mt-3 border-t pt-3 space-y-3 text-sm">
+            {entries.map(entry => (
+                <li key={entry.id}>
+                    <p><span className="font-semibold">{AUDIT_ACTIONS[entry.action] ?? entry.action}</span> <span className="text-gray-500">em {formatTimestamp(entry.at)} por {entry.actor?.email ?? entry.actor?.uid}</span></p>
+                    {entry.changedFields?.length > 0 && (
+                        <ul className="mt-1 ml-4 list-disc text-gray-600">
+                            {entry.changedFields.map(key => <li key={key}>{OBLIGATION_FIELD_LABELS[key] ?? key}: <del className="text-red-600">{formatFieldValue(key, entry.before?.[key])}</del> → <ins className="text-green-700 no-underline">{formatFieldValue(key, entry.after?.[key])}</ins></li>)}
+                        </ul>
+                    )}
+                </li>
+            ))}
+        </ol>
+    );
+}
+
+// --- IMPORTAÇÃO E EXPORTAÇÃO EM LOTE (PAINEL DE ADMINISTRAÇÃO) ---
+
+function ImportExportPanel({ obligations }) {
+    const [preview, setPreview] = useState(null);
+    const [status, setStatus] = useState({ loading: false, message: '', isError: false });
+
+    const importableRows = preview?.rows.filter(row => row.errors.length === 0 && !row.duplicate) ?? [];
+
+    const handleFileChange = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) { return; }
+        try {
+            setPreview({ fileName: file.name, rows: parseImportFile(file.name, await file.text(), obligations) });
+            setStatus({ loading: false, message: '', isError: false });
+        } catch (error) {
+            console.error("Erro ao ler o arquivo:", error);
+            setPreview(null);
+            setStatus({ loading: false, message: `Não foi possível ler o arquivo: ${error.message}`, isError: true });
+        }
+    };
+
+    const handleImport = async () => {
+        if (!db || importableRows.length === 0) { return; }
+        setStatus({ loading: true, message: 'Importando...', isError: false });
+        try {
+            const obligationsRef = collection(db, obligationsCollectionPath);
+            // Cada obrigação ocupa duas operações do lote: o documento e a entrada de auditoria.
+            const rowsPerBatch = FIRESTORE_BATCH_LIMIT / 2;
+            for (let i = 0; i < importableRows.length; i += rowsPerBatch) {
+                const batch = writeBatch(db);
+                importableRows.slice(i, i + rowsPerBatch).forEach(row => addAuditedWrite(batch, { action: 'import', obligationRef: doc(obligationsRef), changes: row.data, after: row.data }));
+                await batch.commit();
+            }
+            setStatus({ loading: false, message: `${importableRows.length} obrigação(ões) importada(s).`, isError: false });
+            setPreview(null);
+        } catch (error) {
+            console.error("Erro ao importar:", error);
+            setStatus({ loading: false, message: 'Ocorreu um erro na importação. Lotes já gravados foram mantidos; importe o arquivo de novo para completar (as duplicatas serão ignoradas).', isError: true });
+        }
+    };
+
+    const fileDate = toISODate(new Date());
+
+    return (
+        <div className="space-y-8">
+            <div>
+                <h2 className="text-xl font-semibold text-gray-700 mb-2">Exportar</h2>
+                <p className="text-sm text-gray-500 mb-4">Baixa todas as {obligations.length} obrigações cadastradas, no mesmo formato aceito pela importação.</p>
+                <div className="flex space-x-3">
+                    <button onClick={() => downloadFile(exportObligationsToCsv(obligations), `obrigacoes-${fileDate}.csv`, 'text/csv;charset=utf-8')} disabled={obligations.length === 0} className="px-4 py-2 text-sm font-semibold text-blue-600 border border-blue-600 rounded-lg hover:bg-blue-50 disabled:opacity-50">Exportar CSV</button>
+                    <button onClick={() => downloadFile(exportObligationsToJson(obligations), `obrigacoes-${fileDate}.json`, 'application/json')} disabled={obligations.length === 0} className="px-4 py-2 text-sm font-semibold text-blue-600 border border-blue-600 rounded-lg hover:bg-blue-50 disabled:opacity-50">Exportar JSON</button>
+                </div>
+            </div>
+            <div>
+                <h2 className="text-xl font-semibold text-gray-700 mb-2">Importar</h2>
+                <p className="text-sm text-gray-500 mb-4">CSV (separado por ; ou ,) ou JSON com os campos <code>title</code>, <code>date</code> (AAAA-MM-DD) e <code>sphere</code>, além dos opcionais da exportação. Nada é gravado antes da confirmação.</p>
+                <input type="file" accept=".csv,.json,text/csv,application/json" onChange={handleFileChange} aria-label="Arquivo para importar" className="text-sm"/>
+                {status.message && <p className={`mt-3 text-sm ${status.isError ? 'text-red-500' : 'text-green-600'}`}>{status.message}</p>}
+                {preview && (
+                    <div className="mt-4">
+                        <p className="text-sm text-gray-600 mb-2">{preview.fileName}: {preview.rows.length} linha(s), {importableRows.length} pronta(s) para importar.</p>
+                        <div className="max-h-96 overflow-auto border rounded-lg">
+                            <table className="w-full text-sm text-left">
+                                <thead className="bg-gray-50 sticky top-0"><tr><th className="p-2">Linha</th><th className="p-2">Título</th><th className="p-2">Vencimento</th><th className="p-2">Esfera</th><th className="p-2">Situação</th></tr></thead>
+                                <tbody>
+                                    {preview.rows.map(row => (
+                                        <tr key={row.line} className={`border-t ${row.errors.length > 0 ? 'bg-red-50' : row.duplicate ? 'bg-yellow-50' : ''}`}>
+                                            <td className="p-2">{row.line}</td>
+                                            <td className="p-2">{row.data.title}</td>
+                                            <td className="p-2">{row.data.recurrence ? describeRecurrence(row.data.recurrence) : row.data.date}</td>
+                                            <td className="p-2">{row.data.sphere}</td>
+                                            <td className="p-2">{row.errors.length > 0 ? <ul className="text-red-600">{row.errors.map(error => <li key={error}>{error}</li>)}</ul> : row.duplicate ? <span className="text-yellow-700">Duplicada, será ignorada</span> : <span className="text-green-600">OK</span>}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                        <div className="flex justify-end space-x-3 mt-4">
+                            <button onClick={() => setPreview(null)} className="px-4 py-2 bg-gray-200 text-gray-800 rounded-lg hover:bg-gray-300">Descartar</button>
+                            <button onClick={handleImport} disabled={status.loading || importableRows.length === 0} className="px-6 py-2 bg-blue-600 text-white font-semibold rounded-lg hover:bg-blue-700 disabled:bg-gray-400">Importar {importableRows.length} obrigação(ões)</button>
                         </div>
                     </div>
-                ))
+                )}
+            </div>
+        </div>
+    );
+}
+
+// --- LISTA DE INSCRITOS (PAINEL DE ADMINISTRAÇÃO) ---
+const SUBSCRIBER_CSV_COLUMNS = [
+    { key: 'email', label: 'E-mail' },
+    { key: 'statusLabel', label: 'Situação' },
+    { key: 'subscribedAt', label: 'Inscrito em' },
+    { key: 'confirmedAt', label: 'Confirmado em' },
+    { key: 'unsubscribedAt', label: 'Descadastrado em' },
+    { key: 'consentAcceptedAt', label: 'Consentimento em' },
+    { key: 'consentVersion', label: 'Versão do termo' },
+    { key: 'spheres', label: 'Esferas' },
+    { key: 'daysInAdvance', label: 'Antecedência (dias)' },
+];
+
+function SubscribersPanel() {
+    const [subscribers, setSubscribers] = useState([]);
+    const [search, setSearch] = useState('');
+    const [error, setError] = useState(null);
+    const [subscriberToDelete, setSubscriberToDelete] = useState(null);
+
+    useEffect(() => {
+        if (!db) { return; }
+        const unsubscribe = onSnapshot(collection(db, subscribersCollectionPath), (snapshot) => {
+            setSubscribers(snapshot.docs.map(d => ({ id: d.id, ...d.data() })).sort((a, b) => (a.email || '').localeCompare(b.email || '')));
+            setError(null);
+        }, (error) => {
+            console.error("Erro ao buscar inscritos:", error);
+            setError('Não foi possível carregar os inscritos.');
+        });
+        return () => unsubscribe();
+    }, []);
+
+    const visibleSubscribers = useMemo(() => {
+        const term = search.trim().toLowerCase();
+        return term ? subscribers.filter(s => s.email?.includes(term)) : subscribers;
+    }, [subscribers, search]);
+
+    const handleExport = () => {
+        const rows = visibleSubscribers.map(s => ({
+            ...s,
+            statusLabel: SUBSCRIPTION_STATUSES[s.status] || s.status,
+            subscribedAt: formatTimestamp(s.subscribedAt),
+            confirmedAt: formatTimestamp(s.confirmedAt),
+            unsubscribedAt: formatTimestamp(s.unsubscribedAt),
+            consentAcceptedAt: formatTimestamp(s.consent?.acceptedAt),
+            consentVersion: s.consent?.textVersion,
+        }));
+        downloadFile(toCsv(rows, SUBSCRIBER_CSV_COLUMNS), `inscritos-${toISODate(new Date())}.csv`, 'text/csv;charset=utf-8');
+    };
+
+    // Exclusão definitiva (pedido do titular, LGPD): remove o inscrito e o registro dos lembretes enviados a ele.
+    const confirmDelete = async () => {
+        try {
+            const logSnapshot = await getDocs(query(collection(db, reminderLogCollectionPath), where('subscriberId', '==', subscriberToDelete.id)));
+            await deleteInBatches([...logSnapshot.docs.map(d => d.ref), doc(db, subscribersCollectionPath, subscriberToDelete.id)]);
+            setSubscriberToDelete(null);
+        } catch (error) { console.error("Erro ao excluir inscrito:", error); }
+    };
+
+    return (
+        <div>
+            <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+                <h2 className="text-xl font-semibold text-gray-700">Inscritos ({visibleSubscribers.length})</h2>
+                <div className="flex items-center space-x-3">
+                    <input type="search" placeholder="Buscar e-mail" aria-label="Buscar e-mail" value={search} onChange={e => setSearch(e.target.value)} className="px-3 py-2 border rounded-md shadow-sm text-sm"/>
+                    <button onClick={handleExport} disabled={visibleSubscribers.length === 0} className="px-4 py-2 text-sm font-semibold text-blue-600 border border-blue-600 rounded-lg hover:bg-blue-50 disabled:opacity-50">Exportar CSV</button>
+                </div>
+            </div>
+            {error && <p className="text-red-500 text-sm mb-4">{error}</p>}
+            <div className="space-y-3">
+                {visibleSubscribers.length > 0 ? visibleSubscribers.map(s => (
+                    <div key={s.id} className="flex items-center justify-between bg-white p-3 rounded-lg border shadow-sm">
+                        <div>
+                            <p className="font-bold">{s.email}</p>
+                            <p className="text-sm text-gray-500">{SUBSCRIPTION_STATUSES[s.status] || 'Sem confirmação (inscrição antiga)'} - inscrito em {formatTimestamp(s.subscribedAt) || '—'}{s.consent?.textVersion && ` - termo ${s.consent.textVersion}`}</p>
+                        </div>
+                        <button onClick={() => setSubscriberToDelete(s)} aria-label={`Excluir ${s.email}`} className="p-2 text-red-500"><TrashIcon/></button>
+                    </div>
+                )) : <p className="text-center text-gray-500 py-4">Nenhum inscrito encontrado.</p>}
+            </div>
+            {subscriberToDelete && <ConfirmModal message={`Excluir definitivamente ${subscriberToDelete.email} e seu histórico de envios? A ação não pode ser desfeita.`} onConfirm={confirmDelete} onCancel={() => setSubscriberToDelete(null)} />}
+        </div>
+    );
+}
+
+// --- ALERTA DE VENCIMENTO EM DIA NÃO ÚTIL ---
+function NonBusinessDayWarning({ date, uf, municipality }) {
+    if (!date) { return null; }
+    // Feriados nacionais mais os da UF e do município da obrigação.
+    const reason = getHolidayCalendar({ uf, municipality }).getNonBusinessDayReason(parseISODate(date));
+    if (!reason) { return null; }
+    return <p className="mt-1 text-xs font-semibold text-amber-600">Atenção: vencimento em dia não útil ({reason}).</p>;
+}
+
+// --- CAMPOS DA REGRA DE RECORRÊNCIA (PAINEL DE ADMINISTRAÇÃO) ---
+function RecurrenceFields({ recurrence, onChange }) {
+    const inputClass = "mt-1 w-full px-3 py-2 border rounded-md shadow-sm bg-white";
+    return (
+        <div className="md:col-span-3 grid grid-cols-1 md:grid-cols-3 gap-4 border-t pt-4">
+            <div>
+                <label htmlFor="frequency" className="block text-sm font-medium text-gray-600">Frequência</label>
+                <select id="frequency" value={recurrence.frequency} onChange={e => onChange('frequency', e.target.value)} className={inputClass}>
+                    {Object.entries(FREQUENCIES).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                </select>
+            </div>
+            {recurrence.frequency === 'annual' && (
+                <div>
+                    <label htmlFor="month" className="block text-sm font-medium text-gray-600">Mês</label>
+                    <select id="month" value={recurrence.month} onChange={e => onChange('month', Number(e.target.value))} className={inputClass}>
+                        {Array.from({ length: 12 }, (_, i) => <option key={i} value={i + 1}>{new Date(2000, i, 1).toLocaleString('pt-BR', { month: 'long' })}</option>)}
+                    </select>
+                </div>
+            )}
+            {recurrence.frequency === 'quarterly' && (
+                <div>
+                    <label htmlFor="month" className="block text-sm font-medium text-gray-600">Mês do trimestre</label>
+                    <select id="month" value={recurrence.month} onChange={e => onChange('month', Number(e.target.value))} className={inputClass}>
+                        <option value={1}>1º (jan, abr, jul, out)</option>
+                        <option value={2}>2º (fev, mai, ago, nov)</option>
+                        <option value={3}>3º (mar, jun, set, dez)</option>
+                    </select>
+                </div>
+            )}
+            <div>
+                <label htmlFor="dayRule" className="block text-sm font-medium text-gray-600">Regra do dia</label>
+                <select id="dayRule" value={recurrence.dayRule} onChange={e => onChange('dayRule', e.target.value)} className={inputClass}>
+                    {Object.entries(DAY_RULES).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                </select>
+            </div>
+            {recurrence.dayRule !== 'lastBusinessDay' && (
+                <div>
+                    <label htmlFor="day" className="block text-sm font-medium text-gray-600">{recurrence.dayRule === 'fixed' ? 'Dia do mês' : 'Dia útil nº'}</label>
+                    <input type="number" id="day" min="1" max={recurrence.dayRule === 'fixed' ? 31 : 23} value={recurrence.day} onChange={e => onChange('day', Number(e.target.value))} className={inputClass}/>
+                </div>
+            )}
+            {recurrence.dayRule === 'fixed' && (
+                <div>
+                    <label htmlFor="adjustment" className="block text-sm font-medium text-gray-600">Se não for dia útil</label>
+                    <select id="adjustment" value={recurrence.adjustment} onChange={e => onChange('adjustment', e.target.value)} className={inputClass}>
+                        {Object.entries(ADJUSTMENTS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                    </select>
+                </div>
             )}
+            <div>
+                <label htmlFor="startDate" className="block text-sm font-medium text-gray-600">Vigente a partir de</label>
+                <input type="date" id="startDate" value={recurrence.startDate || ''} onChange={e => onChange('startDate', e.target.value)} className={inputClass}/>
+            </div>
+            <div>
+                <label htmlFor="endDate" className="block text-sm font-medium text-gray-600">Vigente até</label>
+                <input type="date" id="endDate" value={recurrence.endDate || ''} onChange={e => onChange('endDate', e.target.value)} className={inputClass}/>
+            </div>
         </div>
-    </div>
-  );
+    );
+}
+
+// --- COMPONENTE DO CALENDÁRIO ---
+// Grade com semântica ARIA de grid e foco "itinerante": só o dia em foco
+// (currentDate) entra na ordem de tabulação; setas, Home/End e PageUp/PageDown
+// movem o foco e Enter/Espaço abrem os detalhes do dia.
+function Calendar({ view = 'month', currentDate, onDateChange, onViewChange, obligations, loading, onSelectDay, holidayCalendar = nationalHolidayCalendar, getChipColor = (ob) => getSphereColor(ob.sphere) }) {
+    const gridRef = useRef(null);
+    const keyboardNavigationRef = useRef(false);
+    const range = useMemo(() => getVisibleRange(view, currentDate), [view, currentDate]);
+    // Expande as regras de recorrência apenas para o período visível.
+    const visibleObligations = useMemo(() => expandObligations(obligations, range.from, range.to), [obligations, range.from, range.to]);
+    const obligationsByDate = useMemo(() => groupByDate(visibleObligations), [visibleObligations]);
+    const dayOptions = useMemo(() => ({ occurrencesByDate: obligationsByDate, holidayCalendar }), [obligationsByDate, holidayCalendar]);
+    const buildDay = useCallback((date) => buildCalendarDay(date, dayOptions), [dayOptions]);
+
+    // Devolve o foco ao novo dia depois de uma navegação por teclado.
+    useEffect(() => {
+        if (!keyboardNavigationRef.current) { return; }
+        keyboardNavigationRef.current = false;
+        gridRef.current?.querySelector(`[data-date="${toISODate(currentDate)}"]`)?.focus();
+    }, [currentDate, view]);
+
+    const selectDay = (day) => {
+        onDateChange(day.date);
+        onSelectDay?.(day);
+    };
+
+    const handleGridKeyDown = (e) => {
+        if (e.target.getAttribute('role') !== 'gridcell') { return; }
+        const offsets = { ArrowLeft: -1, ArrowRight: 1, ArrowUp: -7, ArrowDown: 7, Home: -currentDate.getDay(), End: 6 - currentDate.getDay() };
+        let next = null;
+        if (offsets[e.key] !== undefined) { next = addDays(currentDate, offsets[e.key]); }
+        else if (e.key === 'PageUp') { next = shiftDate(view, currentDate, -1); }
+        else if (e.key === 'PageDown') { next = shiftDate(view, currentDate, 1); }
+        else if (e.key === 'Enter' || e.key === ' ') { e.preventDefault(); selectDay(buildDay(currentDate)); return; }
+        if (!next) { return; }
+        e.preventDefault();
+        keyboardNavigationRef.current = true;
+        onDateChange(next);
+    };
+
+    const gridProps = { ref: gridRef, role: 'grid', onKeyDown: handleGridKeyDown };
+    const cellProps = (day) => ({
+        role: 'gridcell',
+        'data-date': toISODate(day.date),
+        tabIndex: day.isCurrentMonth && isSameDay(day.date, currentDate) ? 0 : -1,
+        'aria-selected': isSameDay(day.date, currentDate),
+        'aria-label': describeDay(day),
+        onClick: day.isCurrentMonth ? () => selectDay(day) : undefined,
+    });
+
+    const renderBody = () => {
+        if (loading) { return <div className="h-96 flex items-center justify-center border rounded-lg dark:border-gray-700"><p>Carregando...</p></div>; }
+        switch (view) {
+            case 'week': return <WeekGrid days={getWeekDates(currentDate).map(date => buildDay(date))} gridProps={gridProps} cellProps={cellProps} onSelectDay={selectDay} getChipColor={getChipColor} />;
+            case 'agenda': return <AgendaList obligationsByDate={obligationsByDate} buildDay={buildDay} onSelectDay={selectDay} getChipColor={getChipColor} />;
+            case 'year': return <YearOverview year={currentDate.getFullYear()} dayOptions={dayOptions} gridProps={gridProps} cellProps={cellProps} onOpenMonth={(date) => { onDateChange(date); onViewChange?.('month'); }} />;
+            default: return <MonthGrid days={buildMonthDays(currentDate.getFullYear(), currentDate.getMonth(), dayOptions)} label={formatViewTitle('month', currentDate)} gridProps={gridProps} cellProps={cellProps} onSelectDay={selectDay} getChipColor={getChipColor} />;
+        }
+    };
+
+    return (
+        <div className="w-full">
+            <div className="flex items-center justify-between mb-4">
+                <div className="flex items-center space-x-2">
+                    <button onClick={() => onDateChange(startOfToday())} className="px-4 py-2 text-sm font-semibold text-gray-600 border rounded-lg hover:bg-gray-100 dark:text-gray-300 dark:border-gray-600 dark:hover:bg-gray-800">Hoje</button>
+                    <div className="flex items-center rounded-lg border dark:border-gray-600">
+                        <button onClick={() => onDateChange(shiftDate(view, currentDate, -1))} aria-label="Anterior" className="p-2 text-gray-600 hover:bg-gray-100 rounded-l-md dark:text-gray-300 dark:hover:bg-gray-800"><ChevronLeftIcon /></button>
+                        <button onClick={() => onDateChange(shiftDate(view, currentDate, 1))} aria-label="Próximo" className="p-2 text-gray-600 border-l hover:bg-gray-100 rounded-r-md dark:text-gray-300 dark:border-gray-600 dark:hover:bg-gray-800"><ChevronRightIcon /></button>
+                    </div>
+                </div>
+                <h2 className="text-xl md:text-2xl font-semibold capitalize min-w-[12rem] text-center" aria-live="polite">{formatViewTitle(view, currentDate)}</h2>
+                <div className="hidden md:block w-48"></div>
+            </div>
+            {renderBody()}
+        </div>
+    );
+}
+
+const WEEK_DAYS = ['Dom', 'Seg', 'Ter', 'Qua', 'Qui', 'Sex', 'Sáb'];
+
+function WeekDayHeader() {
+    return (
+        <div role="row" className="grid grid-cols-7">
+            {WEEK_DAYS.map(day => (
+                <div key={day} role="columnheader" className="text-center font-semibold text-xs sm:text-sm text-gray-500 py-3 bg-gray-50 border-b border-r dark:text-gray-400 dark:bg-gray-800 dark:border-gray-700">{day}</div>
+            ))}
+        </div>
+    );
+}
+
+function DayCell({ day, cellProps, onSelectDay, getChipColor, className }) {
+    return (
+        <div {...cellProps(day)} className={`relative p-2 border-b border-r dark:border-gray-700 focus:outline-none focus:ring-2 focus:ring-inset focus:ring-blue-500 ${!day.isCurrentMonth ? 'bg-gray-50 text-gray-400 dark:bg-gray-800 dark:text-gray-500' : day.holiday ? 'bg-red-50 hover:bg-red-100 cursor-pointer dark:bg-red-950 dark:hover:bg-red-900' : 'bg-white hover:bg-gray-50 cursor-pointer dark:bg-gray-900 dark:hover:bg-gray-800'} ${className}`}>
+            <span className={`text-sm font-semibold ${day.isToday ? 'bg-blue-600 text-white rounded-full flex items-center justify-center h-7 w-7' : ''}`}>{day.date.getDate()}</span>
+            {day.holiday && <p className="text-xs text-red-600 dark:text-red-400 leading-tight" title={`Feriado ${day.holiday.scope.toLowerCase()}`}>{day.holiday.name}</p>}
+            <div className="mt-1 space-y-1">
+                {day.obligations.map(ob => (
+                    <button type="button" key={ob.id} tabIndex={-1} onClick={(e) => { e.stopPropagation(); onSelectDay(day); }} title={ob.title} className={`block w-full text-left text-xs p-1 rounded-md text-white ${getChipColor(ob)}`}>{ob.title}<DateChangedBadge obligation={ob} compact /></button>
+                ))}
+            </div>
+        </div>
+    );
+}
+
+function MonthGrid({ days, label, gridProps, cellProps, onSelectDay, getChipColor }) {
+    return (
+        <div {...gridProps} aria-label={label} className="border-t border-l dark:border-gray-700">
+            <WeekDayHeader />
+            {chunkWeeks(days).map((week, index) => (
+                <div key={index} role="row" className="grid grid-cols-7">
+                    {week.map(day => <DayCell key={toISODate(day.date)} day={day} cellProps={cellProps} onSelectDay={onSelectDay} getChipColor={getChipColor} className="min-h-[120px] sm:min-h-[140px]" />)}
+                </div>
+            ))}
+        </div>
+    );
+}
+
+function WeekGrid({ days, gridProps, cellProps, onSelectDay, getChipColor }) {
+    return (
+        <div {...gridProps} aria-label={`Semana de ${days[0].date.toLocaleDateString('pt-BR')} a ${days[6].date.toLocaleDateString('pt-BR')}`} className="border-t border-l dark:border-gray-700">
+            <WeekDayHeader />
+            <div role="row" className="grid grid-cols-7">
+                {days.map(day => <DayCell key={toISODate(day.date)} day={day} cellProps={cellProps} onSelectDay={onSelectDay} getChipColor={getChipColor} className="min-h-[320px]" />)}
+            </div>
+        </div>
+    );
+}
+
+// Lista dos próximos vencimentos, agrupados por dia.
+function AgendaList({ obligationsByDate, buildDay, onSelectDay, getChipColor }) {
+    const days = [...obligationsByDate.keys()].sort().map(date => buildDay(parseISODate(date)));
+    if (days.length === 0) { return <p className="text-center text-gray-500 py-12 border rounded-lg dark:text-gray-400 dark:border-gray-700">Nenhuma obrigação neste período.</p>; }
+    return (
+        <ol className="divide-y border rounded-lg dark:divide-gray-700 dark:border-gray-700">
+            {days.map(day => (
+                <li key={toISODate(day.date)} className="p-4 sm:flex sm:space-x-6">
+                    <div className="sm:w-48 shrink-0 mb-2 sm:mb-0">
+                        <p className={`font-semibold first-letter:uppercase ${day.isToday ? 'text-blue-600 dark:text-blue-400' : 'text-gray-700 dark:text-gray-200'}`}>{day.date.toLocaleDateString('pt-BR', { weekday: 'long', day: 'numeric', month: 'short' })}</p>
+                        {day.holiday && <p className="text-xs text-red-600 dark:text-red-400">{day.holiday.name}</p>}
+                    </div>
+                    <ul className="flex-1 space-y-2">
+                        {day.obligations.map(ob => (
+                            <li key={ob.id}>
+                                <button type="button" onClick={() => onSelectDay(day)} className="w-full text-left flex items-center space-x-3 hover:bg-gray-50 dark:hover:bg-gray-800 rounded-md p-1">
+                                    <span className={`h-3 w-3 rounded-full shrink-0 ${getChipColor(ob)}`} aria-hidden="true"></span>
+                                    <span className="font-medium">{ob.title}</span>
+                                    <span className={`text-xs ${getSphereTextColor(ob.sphere)}`}>{ob.sphere}</span>
+                                    <DateChangedBadge obligation={ob} />
+                                </button>
+                            </li>
+                        ))}
+                    </ul>
+                </li>
+            ))}
+        </ol>
+    );
+}
+
+// Visão anual: 12 minicalendários com a densidade de obrigações por dia.
+function YearOverview({ year, dayOptions, gridProps, cellProps, onOpenMonth }) {
+    return (
+        <div>
+            <div {...gridProps} aria-label={`Ano ${year}`} className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-6">
+                {Array.from({ length: 12 }, (_, monthIndex) => (
+                    <div key={monthIndex} role="rowgroup">
+                        <button type="button" onClick={() => onOpenMonth(new Date(year, monthIndex, 1))} className="w-full text-left font-semibold capitalize text-gray-700 mb-1 hover:text-blue-600 dark:text-gray-200">{new Date(year, monthIndex, 1).toLocaleString('pt-BR', { month: 'long' })}</button>
+                        {chunkWeeks(buildMonthDays(year, monthIndex, dayOptions)).map((week, index) => (
+                            <div key={index} role="row" className="grid grid-cols-7 gap-0.5 mb-0.5">
+                                {week.map(day => day.isCurrentMonth ? (
+                                    <div key={toISODate(day.date)} {...cellProps(day)} className={`text-center text-xs py-1 rounded cursor-pointer focus:outline-none focus:ring-2 focus:ring-blue-500 ${getDensityColor(day.obligations.length)} ${day.holiday ? 'ring-1 ring-inset ring-red-400' : ''} ${day.isToday ? 'font-bold underline' : ''}`}>{day.date.getDate()}</div>
+                                ) : <div key={toISODate(day.date)} role="gridcell" aria-hidden="true"></div>)}
+                            </div>
+                        ))}
+                    </div>
+                ))}
+            </div>
+            <div className="flex flex-wrap items-center gap-4 mt-6 text-xs text-gray-600 dark:text-gray-400">
+                <span>Obrigações por dia:</span>
+                {[[0, 'nenhuma'], [1, '1'], [2, '2 a 3'], [4, '4 ou mais']].map(([count, label]) => <span key={count} className="inline-flex items-center space-x-1"><span className={`inline-block h-3 w-3 rounded ${getDensityColor(count)}`}></span><span>{label}</span></span>)}
+                <span className="inline-flex items-center space-x-1"><span className="inline-block h-3 w-3 rounded ring-1 ring-inset ring-red-400"></span><span>feriado</span></span>
+            </div>
+        </div>
+    );
+}
+
+// Aviso de vencimento remarcado depois de publicado (ver getDateChange).
+function DateChangedBadge({ obligation, compact = false }) {
+    if (!hasDateChanged(obligation)) { return null; }
+    return <span title={`Vencimento anterior: ${obligation.dateChange.previous}`} className={`ml-1 inline-block rounded bg-orange-100 px-1 font-semibold text-orange-800 ${compact ? 'text-[10px]' : 'text-xs'}`}>data alterada</span>;
+}
+
+// --- GAVETA COM OS DETALHES DAS OBRIGAÇÕES DO DIA ---
+function DayDetailsDrawer({ day, onClose }) {
+    const closeButtonRef = useRef(null);
+    const dialogRef = useRef(null);
+
+    // Foco inicial no botão de fechar, fechamento com Esc e Tab/Shift+Tab
+    // circulando só entre os elementos do painel, como num diálogo modal.
+    useEffect(() => {
+        const previouslyFocused = document.activeElement;
+        closeButtonRef.current?.focus();
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') { onClose(); return; }
+            if (e.key !== 'Tab' || !dialogRef.current) { return; }
+            const focusable = [...dialogRef.current.querySelectorAll('a[href], button:not([disabled]), input, select, textarea, [tabindex]:not([tabindex="-1"])')];
+            const first = focusable[0];
+            const last = focusable[focusable.length - 1];
+            if (!dialogRef.current.contains(document.activeElement)) { e.preventDefault(); first?.focus(); }
+            else if (e.shiftKey && document.activeElement === first) { e.preventDefault(); last.focus(); }
+            else if (!e.shiftKey && document.activeElement === last) { e.preventDefault(); first.focus(); }
+        };
+        document.addEventListener('keydown', handleKeyDown);
+        return () => { document.removeEventListener('keydown', handleKeyDown); previouslyFocused?.focus?.(); };
+    }, [onClose]);
+
+    const title = day.date.toLocaleDateString('pt-BR', { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' });
+
+    return (
+        <div className="fixed inset-0 z-50 flex justify-end bg-black bg-opacity-50 print:hidden" onClick={onClose}>
+            <div ref={dialogRef} role="dialog" aria-modal="true" aria-labelledby="day-details-title" onClick={(e) => e.stopPropagation()} className="h-full w-full max-w-md overflow-y-auto bg-white p-6 shadow-xl dark:bg-gray-900">
+                <div className="flex items-start justify-between border-b pb-4 mb-4 dark:border-gray-700">
+                    <div>
+                        <h2 id="day-details-title" className="text-xl font-semibold text-blue-800 first-letter:uppercase dark:text-blue-300">{title}</h2>
+                        {day.holiday && <p className="text-sm text-red-600 dark:text-red-400">Feriado: {day.holiday.name}</p>}
+                    </div>
+                    <button ref={closeButtonRef} onClick={onClose} aria-label="Fechar" className="p-1 text-2xl leading-none text-gray-500 hover:text-gray-800 dark:text-gray-400 dark:hover:text-gray-100">&times;</button>
+                </div>
+                {day.obligations?.length > 0 ? (
+                    <ul className="space-y-4">
+                        {day.obligations.map(ob => (
+                            <li key={ob.id} className="rounded-lg border p-4 dark:border-gray-700">
+                                <p className="font-bold">{ob.title}</p>
+                                <p className={`text-sm font-semibold ${getSphereTextColor(ob.sphere)}`}>{ob.sphere}</p>
+                                {hasDateChanged(ob) && <p className="mt-2 text-sm text-orange-700">Data alterada em {formatFieldValue('date', ob.dateChange.changedOn)}. Vencimento anterior: {ob.dateChange.previous}.</p>}
+                                {ob.description && <p className="mt-2 text-sm text-gray-700 whitespace-pre-line dark:text-gray-300">{ob.description}</p>}
+                                <dl className="mt-3 space-y-1 text-sm">
+                                    {ob.taxpayerProfile && <div><dt className="inline font-semibold text-gray-600 dark:text-gray-400">Contribuintes: </dt><dd className="inline">{ob.taxpayerProfile}</dd></div>}
+                                    {ob.legalBasis && <div><dt className="inline font-semibold text-gray-600 dark:text-gray-400">Base legal: </dt><dd className="inline">{ob.legalBasis}</dd></div>}
+                                    {ob.revenueCode && <div><dt className="inline font-semibold text-gray-600 dark:text-gray-400">Código de receita: </dt><dd className="inline">{ob.revenueCode}</dd></div>}
+                                </dl>
+                                {ob.officialUrl && <a href={ob.officialUrl} target="_blank" rel="noopener noreferrer" className="mt-3 inline-block text-sm text-blue-600 hover:underline">Página oficial</a>}
+                            </li>
+                        ))}
+                    </ul>
+                ) : (
+                    <p className="text-gray-500 dark:text-gray-400">Nenhuma obrigação com vencimento neste dia.</p>
+                )}
+            </div>
+        </div>
+    );
 }
 
 // --- NOVO COMPONENTE: MODAL DE CONFIRMAÇÃO ---
@@ -310,6 +1542,17 @@ function ConfirmModal({ message, onConfirm, onCancel }) {
 }
 
 // --- FUNÇÕES AUXILIARES ---
+function startOfToday() { const today = new Date(); return new Date(today.getFullYear(), today.getMonth(), today.getDate()); }
+function formatViewTitle(view, date) { switch (view) { case 'week': { const week = getWeekDates(date); return `${week[0].toLocaleDateString('pt-BR', { day: 'numeric', month: 'short' })} – ${week[6].toLocaleDateString('pt-BR', { day: 'numeric', month: 'short', year: 'numeric' })}`; } case 'agenda': return `A partir de ${date.toLocaleDateString('pt-BR')}`; case 'year': return String(date.getFullYear()); default: return `${date.toLocaleString('pt-BR', { month: 'long' })} ${date.getFullYear()}`; } }
+function describeDay(day) { const parts = [day.date.toLocaleDateString('pt-BR', { weekday: 'long', day: 'numeric', month: 'long' })]; if (day.holiday) { parts.push(`feriado: ${day.holiday.name}`); } if (day.isCurrentMonth) { parts.push(day.obligations.length === 0 ? 'nenhuma obrigação' : day.obligations.length === 1 ? '1 obrigação' : `${day.obligations.length} obrigações`); } return parts.join(', '); }
+function getDensityColor(count) { if (count === 0) { return 'bg-gray-50 text-gray-500 dark:bg-gray-800 dark:text-gray-400'; } if (count === 1) { return 'bg-blue-100 text-blue-900'; } if (count <= 3) { return 'bg-blue-300 text-blue-900'; } return 'bg-blue-600 text-white'; }
+const ADMIN_TABS = { obligations: 'Obrigações', clients: 'Clientes', overdue: 'Atrasos', trash: 'Lixeira', transfer: 'Importar / Exportar', subscribers: 'Inscritos' };
+function downloadFile(content, fileName, type) { const url = URL.createObjectURL(new Blob([content], { type })); const link = document.createElement('a'); link.href = url; link.download = fileName; link.click(); setTimeout(() => URL.revokeObjectURL(url), 0); }
+function formatTimestamp(timestamp) { return timestamp?.toDate ? timestamp.toDate().toLocaleString('pt-BR') : ''; }
+const EMPTY_OBLIGATION_FORM = { title: '', date: '', sphere: 'Federal', recurrence: null, description: '', legalBasis: '', taxpayerProfile: '', revenueCode: '', officialUrl: '', regimes: [], uf: '', municipality: '' };
+// Copia para o formulário apenas os campos conhecidos, preenchendo os ausentes em documentos antigos.
+function toObligationForm(obligation) { return Object.fromEntries(Object.entries(EMPTY_OBLIGATION_FORM).map(([key, empty]) => [key, obligation[key] ?? empty])); }
 function getSphereColor(sphere = '') { switch (sphere.toLowerCase()) { case 'federal': return 'bg-blue-500'; case 'estadual': return 'bg-green-500'; case 'municipal': return 'bg-yellow-500'; default: return 'bg-gray-500'; } }
+function getFilingStatusColor(status) { switch (status) { case 'entregue': return 'bg-green-600'; case 'atrasado': return 'bg-red-600'; default: return 'bg-gray-500'; } }
 function getSphereTextColor(sphere = '') { switch (sphere.toLowerCase()) { case 'federal': return 'text-blue-600'; case 'estadual': return 'text-green-600'; case 'municipal': return 'text-yellow-600'; default: return 'text-gray-600'; } }
 function getMockObligations() { const today = new Date(); const year = today.getFullYear(); const month = String(today.getMonth() + 1).padStart(2, '0'); return [ { id: '1', date: `${year}-${month}-10`, title: 'DCTFWeb', sphere: 'Federal' }, { id: '2', date: `${year}-${month}-20`, title: 'GPS', sphere: 'Federal' }, { id: '3', date: `${year}-${month}-07`, title: 'Simples Nacional', sphere: 'Federal' }, ]; }
@@ -0,0 +1,90 @@
+import { act, render, screen } from '@testing-library/react';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import App from './App.jsx';
+import { authModule, createUser, emitAuthState, emitSnapshot, emitSnapshotError, firestoreModule, resetFirebase } from './test/firebase.js';
+
+vi.mock('firebase/app', async () => (await import('./test/firebase.js')).appModule);
+vi.mock('firebase/auth', async () => (await import('./test/firebase.js')).authModule);
+vi.mock('firebase/firestore', async () => (await import('./test/firebase.js')).firestoreModule);
+
+const OBLIGATIONS = 'public/data/obligations';
+const anonymousUser = createUser({ uid: 'anonymous', email: null, isAnonymous: true });
+
+beforeEach(() => {
+    resetFirebase();
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date(2026, 9, 19, 12));
+    window.history.replaceState(null, '', '/?visao=mes&data=2026-10-19');
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+});
+
+describe('App: autenticação e assinatura das obrigações', () => {
+    it('entra anonimamente e só assina as obrigações depois da autenticação', async () => {
+        render(<App />);
+        expect(firestoreModule.onSnapshot).not.toHaveBeenCalled();
+
+        await act(() => emitAuthState(null));
+        expect(authModule.signInAnonymously).toHaveBeenCalledTimes(1);
+        expect(firestoreModule.onSnapshot).toHaveBeenCalledTimes(1);
+        expect(firestoreModule.onSnapshot.mock.calls[0][0].path).toBe('artifacts/test-app/public/data/obligations');
+
+        // O listener do SDK dispara de novo com o usuário anônimo: não duplica a assinatura.
+        await act(() => emitAuthState(anonymousUser));
+        expect(firestoreModule.onSnapshot).toHaveBeenCalledTimes(1);
+        expect(screen.getByText('Carregando...')).toBeInTheDocument();
+    });
+
+    it('exibe as obrigações recebidas, sem as da lixeira', async () => {
+        render(<App />);
+        await act(() => emitAuthState(anonymousUser));
+        act(() => emitSnapshot(OBLIGATIONS, [
+            { id: '1', title: 'DCTFWeb', sphere: 'Federal', date: '2026-10-15' },
+            { id: '2', title: 'Excluída', sphere: 'Federal', date: '2026-10-16', deletedAt: { seconds: 1 } },
+        ]));
+        expect(screen.getByRole('button', { name: 'DCTFWeb' })).toBeInTheDocument();
+        expect(screen.queryByText('Excluída')).not.toBeInTheDocument();
+    });
+
+    it('reconhece a sessão de administrador ao recarregar a página', async () => {
+        render(<App />);
+        await act(() => emitAuthState(createUser({ claims: { admin: true } })));
+        act(() => emitSnapshot(OBLIGATIONS, []));
+        await act(async () => screen.getByRole('button', { name: /Acesso Restrito/i }).click());
+        expect(screen.getByRole('heading', { name: 'Painel de Controle' })).toBeInTheDocument();
+    });
+});
+
+describe('App: dados de demonstração e cache offline', () => {
+    it('mostra os dados de exemplo quando as regras recusam a leitura', async () => {
+        render(<App />);
+        await act(() => emitAuthState(anonymousUser));
+        await act(async () => emitSnapshotError(OBLIGATIONS));
+        expect(await screen.findByText('Modo de Demonstração')).toBeInTheDocument();
+        expect(screen.getByRole('button', { name: 'DCTFWeb' })).toBeInTheDocument();
+        expect(screen.getByRole('button', { name: 'Simples Nacional' })).toBeInTheDocument();
+    });
+
+    it('sem servidor e sem cache local, usa os dados de exemplo e exibe o aviso de demonstração', async () => {
+        render(<App />);
+        await act(() => emitAuthState(anonymousUser));
+        await act(async () => emitSnapshot(OBLIGATIONS, [], { fromCache: true }));
+        expect(await screen.findByRole('button', { name: 'GPS' })).toBeInTheDocument();
+        expect(screen.getByRole('alert')).toHaveTextContent('Modo de DemonstraçãoSem conexão com o servidor. O site está exibindo dados de exemplo.');
+    });
+
+    it('ao perder a conexão, mantém os últimos dados do servidor e avisa', async () => {
+        render(<App />);
+        await act(() => emitAuthState(anonymousUser));
+        act(() => emitSnapshot(OBLIGATIONS, [{ id: '1', title: 'EFD-Reinf', sphere: 'Federal', date: '2026-10-15' }]));
+        await act(async () => emitSnapshot(OBLIGATIONS, [], { fromCache: true }));
+        expect(screen.getByText(/sem conexão/)).toBeInTheDocument();
+        expect(screen.getByRole('button', { name: 'EFD-Reinf' })).toBeInTheDocument();
+        expect(screen.queryByRole('button', { name: 'GPS' })).not.toBeInTheDocument();
+    });
+});
@@ -0,0 +1,72 @@
+import { act, render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import App from './App.jsx';
+import { createUser, emitAuthState, emitSnapshot, resetFirebase } from './test/firebase.js';
+
+vi.mock('firebase/app', async () => (await import('./test/firebase.js')).appModule);
+vi.mock('firebase/auth', async () => (await import('./test/firebase.js')).authModule);
+vi.mock('firebase/firestore', async () => (await import('./test/firebase.js')).firestoreModule);
+
+const obligations = [
+    { id: 'dctf', title: 'DCTFWeb', sphere: 'Federal', date: '2026-10-15' },
+    { id: 'das', title: 'DAS', sphere: 'Federal', regimes: ['Simples Nacional'], date: '2026-10-20' },
+    { id: 'irpj', title: 'IRPJ', sphere: 'Federal', regimes: ['Lucro Real'], date: '2026-10-30' },
+    { id: 'gia', title: 'GIA-SP', sphere: 'Estadual', uf: 'SP', date: '2026-10-20' },
+];
+
+async function renderEmbed(search) {
+    window.history.replaceState(null, '', `/embed.html${search}`);
+    const view = render(<App embedded />);
+    await act(() => emitAuthState(createUser({ uid: 'anonymous', email: null, isAnonymous: true })));
+    act(() => emitSnapshot('public/data/obligations', obligations));
+    return view;
+}
+
+beforeEach(() => {
+    resetFirebase();
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date(2026, 9, 19, 12));
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+});
+
+describe('calendário incorporável', () => {
+    it('aplica os filtros de esfera e regime recebidos como atributos', async () => {
+        await renderEmbed('?esfera=Federal&regime=Simples+Nacional');
+        expect(screen.getByRole('button', { name: 'DCTFWeb' })).toBeInTheDocument();
+        expect(screen.getByRole('button', { name: 'DAS' })).toBeInTheDocument();
+        expect(screen.queryByRole('button', { name: 'IRPJ' })).not.toBeInTheDocument();
+        expect(screen.queryByRole('button', { name: 'GIA-SP' })).not.toBeInTheDocument();
+    });
+
+    it('exibe só o calendário, sem inscrição, exportação nem acesso administrativo', async () => {
+        await renderEmbed('');
+        expect(screen.getByRole('grid', { name: 'outubro 2026' })).toBeInTheDocument();
+        expect(screen.queryByRole('button', { name: 'Inscrever' })).not.toBeInTheDocument();
+        expect(screen.queryByRole('button', { name: 'Acesso Restrito' })).not.toBeInTheDocument();
+        expect(screen.queryByRole('button', { name: 'Imprimir / Salvar PDF' })).not.toBeInTheDocument();
+        expect(screen.getByRole('link', { name: 'Abrir o Calendário Fiscal' })).toHaveAttribute('href', 'http://localhost:3000/');
+    });
+
+    it('usa o tema escuro e mantém os detalhes do dia', async () => {
+        const { container } = await renderEmbed('?tema=escuro&visao=agenda&uf=SP');
+        expect(container.firstChild.firstChild).toHaveClass('dark');
+        expect(screen.getByRole('link', { name: 'Abrir o Calendário Fiscal' })).toHaveAttribute('href', 'http://localhost:3000/?uf=SP');
+        await userEvent.setup().click(screen.getByRole('button', { name: /GIA-SP/ }));
+        expect(screen.getByRole('dialog', { name: /20 de outubro de 2026/ })).toBeInTheDocument();
+    });
+
+    it('avisa quando exibe os dados de exemplo', async () => {
+        window.history.replaceState(null, '', '/embed.html');
+        render(<App embedded />);
+        await act(() => emitAuthState(createUser({ uid: 'anonymous', email: null, isAnonymous: true })));
+        await act(async () => emitSnapshot('public/data/obligations', [], { fromCache: true }));
+        expect(await screen.findByRole('button', { name: 'GPS' })).toBeInTheDocument();
+        expect(screen.getByRole('status')).toHaveTextContent('Modo de demonstração: exibindo dados de exemplo.');
+    });
+});
@@ -0,0 +1,62 @@
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { LoginPanel } from './App.jsx';
+import { authModule, createUser, firebaseState, resetFirebase } from './test/firebase.js';
+
+vi.mock('firebase/app', async () => (await import('./test/firebase.js')).appModule);
+vi.mock('firebase/auth', async () => (await import('./test/firebase.js')).authModule);
+vi.mock('firebase/firestore', async () => (await import('./test/firebase.js')).firestoreModule);
+
+async function submitLogin() {
+    const user = userEvent.setup();
+    await user.type(screen.getByLabelText('E-mail'), 'admin@exemplo.com');
+    await user.type(screen.getByLabelText('Senha'), 'segredo');
+    await user.click(screen.getByRole('button', { name: 'Entrar' }));
+}
+
+describe('LoginPanel', () => {
+    const setView = vi.fn();
+    const setIsAdminAuthenticated = vi.fn();
+
+    beforeEach(() => {
+        resetFirebase();
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+        render(<LoginPanel setView={setView} setIsAdminAuthenticated={setIsAdminAuthenticated} />);
+    });
+
+    it('abre o painel para contas com a claim de administrador', async () => {
+        authModule.signInWithEmailAndPassword.mockResolvedValue({ user: createUser({ claims: { admin: true } }) });
+        await submitLogin();
+        expect(authModule.signInWithEmailAndPassword).toHaveBeenCalledWith(expect.anything(), 'admin@exemplo.com', 'segredo');
+        expect(setIsAdminAuthenticated).toHaveBeenCalledWith(true);
+        expect(setView).toHaveBeenCalledWith('admin');
+    });
+
+    it('aceita contas cadastradas em admins/{uid}', async () => {
+        firebaseState.adminUids.add('uid-do-cadastro');
+        authModule.signInWithEmailAndPassword.mockResolvedValue({ user: createUser({ uid: 'uid-do-cadastro' }) });
+        await submitLogin();
+        expect(setView).toHaveBeenCalledWith('admin');
+    });
+
+    it('encerra a sessão de contas sem o papel de administrador', async () => {
+        authModule.signInWithEmailAndPassword.mockResolvedValue({ user: createUser({ uid: 'comum' }) });
+        await submitLogin();
+        expect(authModule.signOut).toHaveBeenCalled();
+        expect(screen.getByText('Esta conta não tem permissão de administrador.')).toBeInTheDocument();
+        expect(setIsAdminAuthenticated).not.toHaveBeenCalled();
+    });
+
+    it('informa credenciais inválidas', async () => {
+        authModule.signInWithEmailAndPassword.mockRejectedValue(Object.assign(new Error('auth/invalid-credential'), { code: 'auth/invalid-credential' }));
+        await submitLogin();
+        expect(screen.getByText('E-mail ou senha incorretos.')).toBeInTheDocument();
+        expect(screen.getByRole('button', { name: 'Entrar' })).toBeEnabled();
+    });
+
+    it('volta ao calendário', async () => {
+        await userEvent.setup().click(screen.getByRole('button', { name: 'Voltar' }));
+        expect(setView).toHaveBeenCalledWith('calendar');
+    });
+});
@@ -0,0 +1,139 @@
+import { act, render, screen, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { PublicCalendarView } from './App.jsx';
+import { firestoreModule, resetFirebase, SERVER_TIMESTAMP } from './test/firebase.js';
+
+vi.mock('firebase/app', async () => (await import('./test/firebase.js')).appModule);
+vi.mock('firebase/auth', async () => (await import('./test/firebase.js')).authModule);
+vi.mock('firebase/firestore', async () => (await import('./test/firebase.js')).firestoreModule);
+
+const obligations = [
+    { id: 'dctf', title: 'DCTFWeb', sphere: 'Federal', date: '2026-10-15', description: 'Declaração de débitos e créditos.', legalBasis: 'IN RFB nº 2.005/2021', officialUrl: 'https://www.gov.br/receitafederal' },
+    { id: 'gia', title: 'GIA-SP', sphere: 'Estadual', uf: 'SP', date: '2026-10-20' },
+    { id: 'das', title: 'DAS', sphere: 'Federal', regimes: ['Simples Nacional'], recurrence: { frequency: 'monthly', dayRule: 'fixed', day: 20, adjustment: 'postpone' }, dateChange: { previous: 'Mensal · dia 25', changedOn: '2026-10-01' } },
+];
+
+const renderView = (props = {}) => render(<PublicCalendarView obligations={obligations} loading={false} setView={vi.fn()} {...props} />);
+
+beforeEach(() => {
+    resetFirebase();
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date(2026, 9, 19, 12));
+    window.history.replaceState(null, '', '/?visao=mes&data=2026-10-19');
+});
+
+afterEach(() => {
+    vi.useRealTimers();
+});
+
+describe('PublicCalendarView', () => {
+    it('exibe as obrigações do mês, incluindo as recorrentes, e o aviso de data alterada', () => {
+        renderView();
+        expect(screen.getByRole('heading', { name: 'outubro 2026' })).toBeInTheDocument();
+        expect(screen.getByRole('button', { name: 'DCTFWeb' })).toBeInTheDocument();
+        expect(screen.getByRole('button', { name: 'DAS data alterada' })).toBeInTheDocument();
+        expect(screen.getByRole('gridcell', { name: /segunda-feira, 12 de outubro.*feriado: Nossa Senhora Aparecida/i })).toBeInTheDocument();
+    });
+
+    it('filtra pela esfera e grava o filtro na URL', async () => {
+        const user = userEvent.setup();
+        renderView();
+        await user.selectOptions(screen.getByLabelText('Esfera'), 'Estadual');
+        expect(screen.queryByRole('button', { name: 'DCTFWeb' })).not.toBeInTheDocument();
+        expect(screen.getByRole('button', { name: 'GIA-SP' })).toBeInTheDocument();
+        expect(new URLSearchParams(window.location.search).get('esfera')).toBe('Estadual');
+    });
+
+    it('abre os detalhes do dia ao clicar numa obrigação, mantém o Tab nele e fecha com Esc', async () => {
+        const user = userEvent.setup();
+        renderView();
+        await user.click(screen.getByRole('button', { name: 'DCTFWeb' }));
+        const dialog = screen.getByRole('dialog');
+        expect(within(dialog).getByText('Declaração de débitos e créditos.')).toBeInTheDocument();
+        expect(within(dialog).getByText('IN RFB nº 2.005/2021')).toBeInTheDocument();
+        const closeButton = within(dialog).getByRole('button', { name: 'Fechar' });
+        const officialLink = within(dialog).getByRole('link', { name: 'Página oficial' });
+        expect(closeButton).toHaveFocus();
+        await user.tab();
+        expect(officialLink).toHaveFocus();
+        await user.tab();
+        expect(closeButton).toHaveFocus();
+        await user.tab({ shift: true });
+        expect(officialLink).toHaveFocus();
+        await user.keyboard('{Escape}');
+        expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+    });
+
+    it('navega pela grade com o teclado e mantém a data na URL', async () => {
+        const user = userEvent.setup();
+        renderView();
+        const today = screen.getByRole('gridcell', { name: /19 de outubro/ });
+        expect(today).toHaveAttribute('tabindex', '0');
+        today.focus();
+        await user.keyboard('{ArrowRight}');
+        expect(screen.getByRole('gridcell', { name: /20 de outubro/ })).toHaveFocus();
+        await user.keyboard('{ArrowDown}{ArrowDown}');
+        // 03/11: a grade passa para novembro e o foco acompanha.
+        expect(screen.getByRole('heading', { name: 'novembro 2026' })).toBeInTheDocument();
+        expect(screen.getByRole('gridcell', { name: /, 3 de novembro/ })).toHaveFocus();
+        expect(new URLSearchParams(window.location.search).get('data')).toBe('2026-11-03');
+        await user.keyboard('{Enter}');
+        expect(screen.getByRole('dialog', { name: /3 de novembro de 2026/ })).toBeInTheDocument();
+    });
+
+    it('troca para a agenda e lista os próximos vencimentos', async () => {
+        const user = userEvent.setup();
+        renderView();
+        await user.click(screen.getByRole('button', { name: 'Agenda' }));
+        expect(new URLSearchParams(window.location.search).get('visao')).toBe('agenda');
+        const items = screen.getAllByRole('listitem').map(item => item.textContent);
+        expect(items.some(text => text.includes('GIA-SP'))).toBe(true);
+        expect(items.some(text => text.includes('DCTFWeb'))).toBe(false);
+    });
+
+    it('exige e-mail válido e consentimento antes de gravar a inscrição pendente', async () => {
+        const user = userEvent.setup();
+        renderView();
+        await user.type(screen.getByPlaceholderText('seu_melhor_email@exemplo.com'), 'Fulano@Exemplo.com');
+        await user.click(screen.getByRole('button', { name: 'Inscrever' }));
+        expect(screen.getByText('É preciso aceitar os termos para se inscrever.')).toBeInTheDocument();
+        expect(firestoreModule.setDoc).not.toHaveBeenCalled();
+
+        await user.click(screen.getByRole('checkbox', { name: /Autorizo o Calendário Fiscal/ }));
+        await user.click(screen.getByRole('button', { name: 'Inscrever' }));
+        expect(await screen.findByText(/você receberá um link de confirmação/)).toBeInTheDocument();
+        const [ref, data, options] = firestoreModule.setDoc.mock.calls[0];
+        expect(ref.path).toMatch(/\/subscribers\/[0-9a-f]{64}$/);
+        expect(data).toMatchObject({ email: 'fulano@exemplo.com', status: 'pending', subscribedAt: SERVER_TIMESTAMP, confirmationSentAt: null });
+        expect(options).toEqual({ merge: true });
+    });
+
+    it('imprime o mês em foco com os títulos completos e a legenda das esferas', async () => {
+        const print = vi.spyOn(window, 'print').mockImplementation(() => {});
+        const user = userEvent.setup();
+        renderView();
+        await user.click(screen.getByRole('button', { name: 'Agenda' }));
+        await user.click(screen.getByRole('button', { name: 'Imprimir / Salvar PDF' }));
+        expect(print).toHaveBeenCalled();
+
+        act(() => { window.dispatchEvent(new Event('beforeprint')); });
+        const table = screen.getByRole('table');
+        expect(screen.getByRole('heading', { name: 'Calendário Fiscal · outubro 2026' })).toBeInTheDocument();
+        expect(within(table).getAllByRole('columnheader').map(header => header.textContent)).toEqual(['Dom', 'Seg', 'Ter', 'Qua', 'Qui', 'Sex', 'Sáb']);
+        expect(within(table).getByText('DCTFWeb')).toBeInTheDocument();
+        expect(within(table).getByText('Nossa Senhora Aparecida')).toBeInTheDocument();
+        expect(screen.getByText('Legenda:').parentElement).toHaveTextContent(/Federal.*Estadual.*Municipal.*Feriado/);
+
+        act(() => { window.dispatchEvent(new Event('afterprint')); });
+        expect(screen.queryByRole('table')).not.toBeInTheDocument();
+    });
+
+    it('informa os filtros ativos no cabeçalho da impressão', () => {
+        window.history.replaceState(null, '', '/?visao=mes&data=2026-10-19&esfera=Estadual&uf=SP');
+        renderView();
+        act(() => { window.dispatchEvent(new Event('beforeprint')); });
+        expect(screen.getByText('Esfera: Estadual · UF: SP')).toBeInTheDocument();
+        expect(within(screen.getByRole('table')).queryByText('DCTFWeb')).not.toBeInTheDocument();
+    });
+});
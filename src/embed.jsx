@@ -0,0 +1,12 @@
+import { StrictMode } from 'react'
+import { createRoot } from 'react-dom/client'
+import './index.css'
+import App from './App.jsx'
+
+// Entrada do calendário incorporável (embed.html), exibido em iframes de
+// outros sites. Não registra o service worker: o app instalável é o index.html.
+createRoot(document.getElementById('root')).render(
+  <StrictMode>
+    <App embedded />
+  </StrictMode>,
+)
@@ -0,0 +1,103 @@
+import { parseISODate, toISODate } from './dates.js';
+import { OBLIGATION_FIELDS } from './importExport.js';
+import { describeRecurrence, expandObligations } from './recurrence.js';
+
+// --- TRILHA DE AUDITORIA E EXCLUSÃO LÓGICA DAS OBRIGAÇÕES ---
+// Cada gravação feita pelo painel gera uma entrada em `auditLog` com quem fez,
+// quando, e os valores antes/depois (somente os campos do cadastro, sem os
+// metadados de auditoria). Excluir apenas preenche `deletedAt`; o documento
+// continua no Firestore e pode ser restaurado pela lixeira.
+
+export const AUDIT_ACTIONS = { create: 'Criação', update: 'Alteração', delete: 'Exclusão', restore: 'Restauração', import: 'Importação' };
+
+export const OBLIGATION_FIELD_LABELS = {
+    title: 'Título',
+    date: 'Vencimento',
+    sphere: 'Esfera',
+    uf: 'UF',
+    municipality: 'Município',
+    regimes: 'Regimes',
+    description: 'Descrição',
+    legalBasis: 'Base legal',
+    taxpayerProfile: 'Contribuintes obrigados',
+    revenueCode: 'Código de receita',
+    officialUrl: 'Link oficial',
+    recurrence: 'Recorrência',
+};
+
+export function isDeleted(obligation) {
+    return Boolean(obligation.deletedAt);
+}
+
+// Vazio, lista vazia e ausente contam como o mesmo valor.
+function normalizeValue(value) {
+    if (value === undefined || value === '' || (Array.isArray(value) && value.length === 0)) { return null; }
+    return value;
+}
+
+// JSON com chaves ordenadas: o Firestore não preserva a ordem das chaves dos mapas.
+function stableStringify(value) {
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return Array.isArray(value) ? `[${value.map(stableStringify).join(',')}]` : JSON.stringify(value ?? null);
+}
+
+export function pickObligationFields(obligation) {
+    return obligation ? Object.fromEntries(OBLIGATION_FIELDS.map(key => [key, normalizeValue(obligation[key])])) : null;
+}
+
+export function getChangedFields(before, after) {
+    if (!before || !after) { return []; }
+    return OBLIGATION_FIELDS.filter(key => stableStringify(normalizeValue(before[key])) !== stableStringify(normalizeValue(after[key])));
+}
+
+// Entrada do auditLog, sem o carimbo de tempo (preenchido pelo servidor).
+export function buildAuditEntry({ obligationId, action, actor, before = null, after = null }) {
+    return {
+        obligationId,
+        action,
+        actor,
+        before: pickObligationFields(before),
+        after: pickObligationFields(after),
+        changedFields: getChangedFields(before, after),
+    };
+}
+
+export function formatFieldValue(key, value) {
+    const normalized = normalizeValue(value);
+    if (normalized === null) { return '—'; }
+    if (key === 'recurrence') { return describeRecurrence(normalized); }
+    if (key === 'regimes') { return normalized.join(', '); }
+    if (key === 'date') { return parseISODate(normalized).toLocaleDateString('pt-BR'); }
+    return String(normalized);
+}
+
+// Vencimento publicado: a data fixa ou os campos da regra que definem o dia.
+function getSchedule(obligation) {
+    return obligation.recurrence
+        ? stableStringify(['frequency', 'dayRule', 'day', 'month', 'adjustment'].map(key => obligation.recurrence[key] ?? null))
+        : obligation.date;
+}
+
+// Quando uma alteração move o vencimento, devolve o aviso exibido no calendário
+// público: { previous, changedOn }. Sem mudança de data, devolve null.
+export function getDateChange(before, after, today = new Date()) {
+    if (!before || getSchedule(before) === getSchedule(after)) { return null; }
+    return {
+        previous: formatFieldValue(before.recurrence ? 'recurrence' : 'date', before.recurrence ?? before.date),
+        changedOn: toISODate(today),
+    };
+}
+
+// Numa obrigação recorrente, o aviso fica só na primeira ocorrência a partir da
+// alteração: as seguintes já nascem com a regra nova, sem data anterior a avisar.
+export function hasDateChanged(occurrence) {
+    if (!occurrence.dateChange) { return false; }
+    if (!occurrence.recurrence) { return true; }
+    const { changedOn } = occurrence.dateChange;
+    if (occurrence.date < changedOn) { return false; }
+    const start = parseISODate(changedOn);
+    const until = toISODate(new Date(start.getFullYear() + 1, start.getMonth() + 1, start.getDate()));
+    return expandObligations([occurrence], changedOn, until)[0]?.date === occurrence.date;
+}
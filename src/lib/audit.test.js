@@ -0,0 +1,64 @@
+import { describe, expect, it } from 'vitest';
+import { parseISODate } from './dates.js';
+import { buildAuditEntry, formatFieldValue, getChangedFields, getDateChange, hasDateChanged, isDeleted } from './audit.js';
+
+const before = { id: '1', title: 'DAS', sphere: 'Federal', date: '2026-10-20', regimes: [], updatedAt: 'x' };
+
+describe('getChangedFields', () => {
+    it('ignora metadados e trata vazio, lista vazia e ausente como iguais', () => {
+        expect(getChangedFields(before, { ...before, uf: '', regimes: undefined, updatedAt: 'y' })).toEqual([]);
+        expect(getChangedFields(before, { ...before, title: 'DAS-MEI', regimes: ['Simples Nacional'] })).toEqual(['title', 'regimes']);
+    });
+
+    it('compara recorrências sem depender da ordem das chaves', () => {
+        const recurring = { ...before, date: '', recurrence: { frequency: 'monthly', day: 20 } };
+        expect(getChangedFields(recurring, { ...recurring, recurrence: { day: 20, frequency: 'monthly' } })).toEqual([]);
+    });
+});
+
+describe('buildAuditEntry', () => {
+    it('registra somente os campos do cadastro', () => {
+        const entry = buildAuditEntry({ obligationId: '1', action: 'delete', actor: { uid: 'u', email: 'a@b.com' }, before });
+        expect(entry).toMatchObject({ obligationId: '1', action: 'delete', after: null, changedFields: [] });
+        expect(entry.before).not.toHaveProperty('updatedAt');
+        expect(entry.before.title).toBe('DAS');
+    });
+});
+
+describe('getDateChange', () => {
+    it('só avisa quando o vencimento publicado muda', () => {
+        expect(getDateChange(before, { ...before, title: 'Outro' })).toBeNull();
+        expect(getDateChange(null, before)).toBeNull();
+        expect(getDateChange(before, { ...before, date: '2026-10-22' }, parseISODate('2026-10-19'))).toEqual({ previous: '20/10/2026', changedOn: '2026-10-19' });
+    });
+
+    it('descreve a regra anterior de obrigações recorrentes', () => {
+        const recurring = { ...before, date: '', recurrence: { frequency: 'monthly', dayRule: 'fixed', day: 20, adjustment: 'none' } };
+        const change = getDateChange(recurring, { ...recurring, recurrence: { ...recurring.recurrence, day: 25 } });
+        expect(change.previous).toBe('Mensal · dia 20');
+        expect(getDateChange(recurring, { ...recurring, recurrence: { ...recurring.recurrence, endDate: '2027-12-31' } })).toBeNull();
+    });
+});
+
+describe('hasDateChanged', () => {
+    it('marca apenas a primeira ocorrência recorrente a partir da alteração', () => {
+        const dateChange = { previous: 'Mensal · dia 20', changedOn: '2026-10-19' };
+        const recurrence = { frequency: 'monthly', dayRule: 'fixed', day: 25, adjustment: 'none' };
+        expect(hasDateChanged({ recurrence, date: '2026-09-25', dateChange })).toBe(false);
+        expect(hasDateChanged({ recurrence, date: '2026-10-25', dateChange })).toBe(true);
+        expect(hasDateChanged({ recurrence, date: '2026-11-25', dateChange })).toBe(false);
+        expect(hasDateChanged({ recurrence, date: '2027-03-25', dateChange })).toBe(false);
+        expect(hasDateChanged({ date: '2026-09-25', dateChange })).toBe(true);
+        expect(hasDateChanged({ date: '2026-09-25' })).toBe(false);
+    });
+});
+
+describe('formatFieldValue e isDeleted', () => {
+    it('formata os valores do histórico', () => {
+        expect(formatFieldValue('date', '2026-01-05')).toBe('05/01/2026');
+        expect(formatFieldValue('regimes', ['Lucro Real', 'Lucro Presumido'])).toBe('Lucro Real, Lucro Presumido');
+        expect(formatFieldValue('uf', '')).toBe('—');
+        expect(isDeleted({ deletedAt: null })).toBe(false);
+        expect(isDeleted({ deletedAt: { seconds: 1 } })).toBe(true);
+    });
+});
@@ -0,0 +1,115 @@
+import { addDays, daysInMonth, parseISODate, toISODate } from './dates.js';
+
+// --- VISÕES DO CALENDÁRIO (MÊS, SEMANA, AGENDA E ANO) ---
+// A data "atual" é sempre um dia específico: é o dia em foco na navegação por
+// teclado e define o mês, a semana ou o ano exibido.
+
+export const CALENDAR_VIEWS = { month: 'Mês', week: 'Semana', agenda: 'Agenda', year: 'Ano' };
+
+// Valores usados na URL (?visao=...&data=AAAA-MM-DD).
+const VIEW_URL_VALUES = { month: 'mes', week: 'semana', agenda: 'agenda', year: 'ano' };
+const URL_PARAMS = { view: 'visao', date: 'data' };
+
+export function isSameDay(a, b) {
+    return a.getFullYear() === b.getFullYear() && a.getMonth() === b.getMonth() && a.getDate() === b.getDate();
+}
+
+// Mesmo dia em outro mês, limitado ao fim do mês (31/01 + 1 mês = 28/02).
+export function addMonths(date, amount) {
+    const year = date.getFullYear();
+    const monthIndex = date.getMonth() + amount;
+    const target = new Date(year, monthIndex, 1);
+    return new Date(target.getFullYear(), target.getMonth(), Math.min(date.getDate(), daysInMonth(target.getFullYear(), target.getMonth())));
+}
+
+// Dias da grade mensal, de domingo a sábado, incluindo os dias dos meses
+// vizinhos que completam a primeira e a última semana.
+export function getMonthGridDates(year, monthIndex) {
+    const first = new Date(year, monthIndex, 1);
+    const start = addDays(first, -first.getDay());
+    const last = new Date(year, monthIndex, daysInMonth(year, monthIndex));
+    const end = addDays(last, 6 - last.getDay());
+    const dates = [];
+    for (let date = start; date <= end; date = addDays(date, 1)) { dates.push(date); }
+    return dates;
+}
+
+// Semana de domingo a sábado que contém a data.
+export function getWeekDates(date) {
+    const start = addDays(date, -date.getDay());
+    return Array.from({ length: 7 }, (_, i) => addDays(start, i));
+}
+
+export function chunkWeeks(days) {
+    const weeks = [];
+    for (let i = 0; i < days.length; i += 7) { weeks.push(days.slice(i, i + 7)); }
+    return weeks;
+}
+
+// Ocorrências agrupadas pela data ('YYYY-MM-DD'), na ordem recebida.
+export function groupByDate(occurrences) {
+    const byDate = new Map();
+    occurrences.forEach(occurrence => byDate.set(occurrence.date, [...(byDate.get(occurrence.date) || []), occurrence]));
+    return byDate;
+}
+
+// Um dia do calendário. Os dias de outros meses que completam a grade não
+// exibem feriados nem obrigações.
+export function buildCalendarDay(date, { isCurrentMonth = true, occurrencesByDate = new Map(), holidayCalendar = null, today = new Date() } = {}) {
+    return {
+        date,
+        isCurrentMonth,
+        isToday: isSameDay(date, today),
+        holiday: isCurrentMonth ? holidayCalendar?.getHoliday(date) ?? null : null,
+        obligations: isCurrentMonth ? occurrencesByDate.get(toISODate(date)) || [] : [],
+    };
+}
+
+// Grade mensal completa (semanas de domingo a sábado) pronta para exibição.
+export function buildMonthDays(year, monthIndex, options) {
+    return getMonthGridDates(year, monthIndex).map(date => buildCalendarDay(date, { ...options, isCurrentMonth: date.getMonth() === monthIndex }));
+}
+
+// Intervalo de datas ('YYYY-MM-DD') exibido em cada visão.
+export function getVisibleRange(view, date) {
+    switch (view) {
+        case 'week': {
+            const week = getWeekDates(date);
+            return { from: toISODate(week[0]), to: toISODate(week[6]) };
+        }
+        case 'agenda':
+            return { from: toISODate(date), to: toISODate(addDays(addMonths(date, 1), -1)) };
+        case 'year':
+            return { from: `${date.getFullYear()}-01-01`, to: `${date.getFullYear()}-12-31` };
+        default: {
+            const grid = getMonthGridDates(date.getFullYear(), date.getMonth());
+            return { from: toISODate(grid[0]), to: toISODate(grid[grid.length - 1]) };
+        }
+    }
+}
+
+// Avança (direction = 1) ou recua (-1) uma página da visão.
+export function shiftDate(view, date, direction) {
+    switch (view) {
+        case 'week': return addDays(date, 7 * direction);
+        case 'year': return addMonths(date, 12 * direction);
+        default: return addMonths(date, direction);
+    }
+}
+
+export function parseCalendarStateFromSearch(search, defaultView = 'month') {
+    const params = new URLSearchParams(search);
+    const view = Object.keys(VIEW_URL_VALUES).find(key => VIEW_URL_VALUES[key] === params.get(URL_PARAMS.view)) || defaultView;
+    const dateParam = params.get(URL_PARAMS.date);
+    const today = new Date();
+    const date = dateParam && /^\d{4}-\d{2}-\d{2}$/.test(dateParam) && toISODate(parseISODate(dateParam)) === dateParam ? parseISODate(dateParam) : new Date(today.getFullYear(), today.getMonth(), today.getDate());
+    return { view, date };
+}
+
+// Atualiza apenas os parâmetros da visão, preservando os demais da URL.
+export function applyCalendarStateToSearch(search, { view, date }) {
+    const params = new URLSearchParams(search);
+    params.set(URL_PARAMS.view, VIEW_URL_VALUES[view]);
+    params.set(URL_PARAMS.date, toISODate(date));
+    return `?${params.toString()}`;
+}
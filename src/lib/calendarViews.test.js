@@ -0,0 +1,124 @@
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+import { parseISODate, toISODate } from './dates.js';
+import { createHolidayCalendar } from './holidays.js';
+import {
+    addMonths, applyCalendarStateToSearch, buildCalendarDay, buildMonthDays, chunkWeeks, getMonthGridDates,
+    getVisibleRange, getWeekDates, groupByDate, parseCalendarStateFromSearch, shiftDate,
+} from './calendarViews.js';
+
+const iso = (dates) => dates.map(toISODate);
+
+describe.each(['America/Sao_Paulo', 'UTC', 'Asia/Tokyo'])('grade mensal no fuso %s', (timezone) => {
+    const originalTimezone = process.env.TZ;
+    beforeAll(() => { process.env.TZ = timezone; });
+    afterAll(() => { if (originalTimezone === undefined) { delete process.env.TZ; } else { process.env.TZ = originalTimezone; } });
+
+    it('completa a primeira e a última semana com os meses vizinhos', () => {
+        // Outubro de 2026 começa numa quinta e termina num sábado.
+        const dates = getMonthGridDates(2026, 9);
+        expect(dates).toHaveLength(35);
+        expect(toISODate(dates[0])).toBe('2026-09-27');
+        expect(toISODate(dates[4])).toBe('2026-10-01');
+        expect(toISODate(dates[dates.length - 1])).toBe('2026-10-31');
+        dates.forEach((date, i) => expect(date.getDay()).toBe(i % 7));
+    });
+
+    it('atravessa a virada do ano nos dois sentidos', () => {
+        const january = getMonthGridDates(2027, 0);
+        expect(toISODate(january[0])).toBe('2026-12-27');
+        const december = getMonthGridDates(2026, 11);
+        expect(toISODate(december[december.length - 1])).toBe('2027-01-02');
+    });
+
+    it('não repete nem pula dias, mesmo no mês da mudança de horário de verão', () => {
+        [[2018, 10], [2026, 2], [2026, 10], [2024, 1]].forEach(([year, monthIndex]) => {
+            const dates = iso(getMonthGridDates(year, monthIndex));
+            expect(new Set(dates).size).toBe(dates.length);
+            expect(dates.length % 7).toBe(0);
+        });
+    });
+
+    it('monta fevereiro com 28 e com 29 dias', () => {
+        // Fevereiro de 2026 começa num domingo e cabe em quatro semanas exatas.
+        expect(iso(getMonthGridDates(2026, 1))).toHaveLength(28);
+        // Em 2024, o dia 29 é uma quinta; a grade termina no sábado seguinte.
+        expect(iso(getMonthGridDates(2024, 1)).slice(-4)).toEqual(['2024-02-28', '2024-02-29', '2024-03-01', '2024-03-02']);
+    });
+});
+
+describe('buildMonthDays', () => {
+    const occurrencesByDate = groupByDate([
+        { id: 'a', date: '2026-10-01', title: 'A' },
+        { id: 'b', date: '2026-10-01', title: 'B' },
+        { id: 'c', date: '2026-09-30', title: 'Vizinha' },
+        { id: 'd', date: '2026-10-31', title: 'Fim do mês' },
+    ]);
+    const days = buildMonthDays(2026, 9, { occurrencesByDate, holidayCalendar: createHolidayCalendar(), today: parseISODate('2026-10-19') });
+    const byDate = Object.fromEntries(days.map(day => [toISODate(day.date), day]));
+
+    it('associa as obrigações pela string AAAA-MM-DD', () => {
+        expect(byDate['2026-10-01'].obligations.map(ob => ob.id)).toEqual(['a', 'b']);
+        expect(byDate['2026-10-31'].obligations.map(ob => ob.id)).toEqual(['d']);
+        expect(byDate['2026-10-02'].obligations).toEqual([]);
+    });
+
+    it('não exibe obrigações nem feriados nos dias de preenchimento', () => {
+        expect(byDate['2026-09-30'].isCurrentMonth).toBe(false);
+        expect(byDate['2026-09-30'].obligations).toEqual([]);
+        expect(byDate['2026-09-27'].holiday).toBeNull();
+    });
+
+    it('marca hoje e os feriados do mês', () => {
+        expect(days.filter(day => day.isToday).map(day => toISODate(day.date))).toEqual(['2026-10-19']);
+        expect(byDate['2026-10-12'].holiday.name).toBe('Nossa Senhora Aparecida');
+    });
+
+    it('divide a grade em semanas', () => {
+        expect(chunkWeeks(days).map(week => week.length)).toEqual([7, 7, 7, 7, 7]);
+    });
+});
+
+describe('buildCalendarDay', () => {
+    it('usa valores vazios sem calendário de feriados', () => {
+        expect(buildCalendarDay(parseISODate('2026-12-25'), { today: parseISODate('2026-01-01') })).toMatchObject({ holiday: null, obligations: [], isToday: false, isCurrentMonth: true });
+    });
+});
+
+describe('navegação entre períodos', () => {
+    it('limita o dia ao fim do mês ao trocar de mês', () => {
+        expect(toISODate(addMonths(parseISODate('2026-01-31'), 1))).toBe('2026-02-28');
+        expect(toISODate(addMonths(parseISODate('2024-03-31'), -1))).toBe('2024-02-29');
+        expect(toISODate(addMonths(parseISODate('2026-12-15'), 1))).toBe('2027-01-15');
+        expect(toISODate(addMonths(parseISODate('2026-01-15'), -1))).toBe('2025-12-15');
+    });
+
+    it('avança uma página conforme a visão', () => {
+        const date = parseISODate('2026-12-28');
+        expect(toISODate(shiftDate('week', date, 1))).toBe('2027-01-04');
+        expect(toISODate(shiftDate('month', date, 1))).toBe('2027-01-28');
+        expect(toISODate(shiftDate('agenda', date, -1))).toBe('2026-11-28');
+        expect(toISODate(shiftDate('year', parseISODate('2024-02-29'), 1))).toBe('2025-02-28');
+    });
+
+    it('calcula o intervalo visível de cada visão', () => {
+        const date = parseISODate('2026-12-31');
+        expect(getVisibleRange('month', date)).toEqual({ from: '2026-11-29', to: '2027-01-02' });
+        expect(getVisibleRange('week', date)).toEqual({ from: '2026-12-27', to: '2027-01-02' });
+        expect(getVisibleRange('agenda', date)).toEqual({ from: '2026-12-31', to: '2027-01-30' });
+        expect(getVisibleRange('year', date)).toEqual({ from: '2026-01-01', to: '2026-12-31' });
+        expect(iso(getWeekDates(parseISODate('2026-01-01')))[0]).toBe('2025-12-28');
+    });
+});
+
+describe('estado da visão na URL', () => {
+    it('lê a visão e a data, mantendo o padrão para valores inválidos', () => {
+        expect(parseCalendarStateFromSearch('?visao=semana&data=2026-02-10')).toMatchObject({ view: 'week' });
+        expect(toISODate(parseCalendarStateFromSearch('?data=2026-02-10').date)).toBe('2026-02-10');
+        expect(parseCalendarStateFromSearch('?visao=xyz', 'agenda').view).toBe('agenda');
+        expect(toISODate(parseCalendarStateFromSearch('?data=2026-02-30').date)).toBe(toISODate(new Date()));
+    });
+
+    it('grava os parâmetros preservando os demais', () => {
+        expect(applyCalendarStateToSearch('?esfera=Federal', { view: 'year', date: parseISODate('2026-03-01') })).toBe('?esfera=Federal&visao=ano&data=2026-03-01');
+    });
+});
@@ -0,0 +1,79 @@
+import { addDays, toISODate } from './dates.js';
+import { createHolidayCalendar } from './holidays.js';
+import { expandObligations } from './recurrence.js';
+
+// --- CLIENTES DO ESCRITÓRIO E CONTROLE DE ENTREGAS ---
+// Um cliente é { cnpj, name, regime, uf, municipality, trackingStart }. As
+// obrigações se aplicam a ele pelos mesmos atributos usados nos filtros:
+// regime, UF e município. A entrega de cada ocorrência fica em `filings`, com
+// id `<cliente>_<obrigação>_<AAAA-MM-DD>`.
+
+export const FILING_STATUSES = { pendente: 'Pendente', entregue: 'Entregue', atrasado: 'Atrasado' };
+
+export const EMPTY_CLIENT = { cnpj: '', name: '', regime: '', uf: '', municipality: '', trackingStart: '' };
+
+export function normalizeCnpj(value) {
+    return String(value ?? '').replace(/\D/g, '');
+}
+
+export function formatCnpj(value) {
+    const digits = normalizeCnpj(value);
+    return digits.length === 14 ? digits.replace(/^(\d{2})(\d{3})(\d{3})(\d{4})(\d{2})$/, '$1.$2.$3/$4-$5') : value;
+}
+
+// Dígitos verificadores do CNPJ (módulo 11).
+export function isValidCnpj(value) {
+    const digits = normalizeCnpj(value);
+    if (digits.length !== 14 || /^(\d)\1+$/.test(digits)) { return false; }
+    const checkDigit = (length) => {
+        const weights = length === 12 ? [5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2] : [6, 5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2];
+        const sum = weights.reduce((total, weight, i) => total + Number(digits[i]) * weight, 0);
+        const rest = sum % 11;
+        return rest < 2 ? 0 : 11 - rest;
+    };
+    return checkDigit(12) === Number(digits[12]) && checkDigit(13) === Number(digits[13]);
+}
+
+// Obrigação sem regime, UF ou município definidos vale para todos.
+export function obligationAppliesToClient(obligation, client) {
+    if (obligation.regimes?.length > 0 && !obligation.regimes.includes(client.regime)) { return false; }
+    if (obligation.uf && obligation.uf !== client.uf) { return false; }
+    if (obligation.municipality && obligation.municipality.toLowerCase() !== (client.municipality || '').toLowerCase()) { return false; }
+    return true;
+}
+
+export function getFilingId(clientId, occurrence) {
+    return `${clientId}_${occurrence.id}_${occurrence.date}`;
+}
+
+// "Entregue" vale o que foi marcado. Sem entrega, a ocorrência fica atrasada
+// quando marcada assim ou quando o vencimento já passou.
+export function getFilingStatus(occurrence, filing, today = new Date()) {
+    if (filing?.status === 'entregue') { return 'entregue'; }
+    if (filing?.status === 'atrasado' || occurrence.date < toISODate(today)) { return 'atrasado'; }
+    return 'pendente';
+}
+
+export function getClientHolidayCalendar(client) {
+    return createHolidayCalendar({ uf: client.uf || undefined, municipality: client.municipality || undefined });
+}
+
+// Ocorrências das obrigações aplicáveis ao cliente no intervalo, a partir do
+// início do acompanhamento (`trackingStart`).
+export function getClientOccurrences(obligations, client, from, to) {
+    const start = client.trackingStart && client.trackingStart > from ? client.trackingStart : from;
+    if (start > to) { return []; }
+    return expandObligations(obligations.filter(ob => obligationAppliesToClient(ob, client)), start, to)
+        .sort((a, b) => a.date.localeCompare(b.date) || a.title.localeCompare(b.title));
+}
+
+// Ocorrências atrasadas de todos os clientes, da mais antiga para a mais recente.
+// `filings` é um Map de id da entrega → documento. Considera no máximo `lookbackDays` para trás.
+export function getOverdueItems(obligations, clients, filings, today = new Date(), lookbackDays = 365) {
+    const to = toISODate(today);
+    const from = toISODate(addDays(today, -lookbackDays));
+    return clients.flatMap(client => getClientOccurrences(obligations, client, from, to)
+        .map(occurrence => ({ client, occurrence, filing: filings.get(getFilingId(client.id, occurrence)) }))
+        .filter(({ occurrence, filing }) => getFilingStatus(occurrence, filing, today) === 'atrasado'))
+        .sort((a, b) => a.occurrence.date.localeCompare(b.occurrence.date) || a.client.name.localeCompare(b.client.name));
+}
@@ -0,0 +1,49 @@
+import { describe, expect, it } from 'vitest';
+import { parseISODate } from './dates.js';
+import { formatCnpj, getClientOccurrences, getFilingId, getFilingStatus, getOverdueItems, isValidCnpj, obligationAppliesToClient } from './clients.js';
+
+const client = { id: 'c1', name: 'Padaria Central', cnpj: '11222333000181', regime: 'Simples Nacional', uf: 'SP', municipality: 'São Paulo', trackingStart: '2026-08-01' };
+const das = { id: 'das', title: 'DAS', sphere: 'Federal', regimes: ['Simples Nacional'], recurrence: { frequency: 'monthly', dayRule: 'fixed', day: 20, adjustment: 'postpone' } };
+
+describe('CNPJ', () => {
+    it('valida os dígitos verificadores e formata', () => {
+        expect(isValidCnpj('11.222.333/0001-81')).toBe(true);
+        expect(isValidCnpj('11.222.333/0001-80')).toBe(false);
+        expect(isValidCnpj('00000000000000')).toBe(false);
+        expect(formatCnpj('11222333000181')).toBe('11.222.333/0001-81');
+    });
+});
+
+describe('obligationAppliesToClient', () => {
+    it('compara regime, UF e município, com campos vazios valendo para todos', () => {
+        expect(obligationAppliesToClient(das, client)).toBe(true);
+        expect(obligationAppliesToClient({ ...das, regimes: ['Lucro Real'] }, client)).toBe(false);
+        expect(obligationAppliesToClient({ title: 'GIA', uf: 'RJ' }, client)).toBe(false);
+        expect(obligationAppliesToClient({ title: 'ISS', uf: 'SP', municipality: 'são paulo' }, client)).toBe(true);
+        expect(obligationAppliesToClient({ title: 'ISS', uf: 'SP', municipality: 'Campinas' }, client)).toBe(false);
+    });
+});
+
+describe('getFilingStatus', () => {
+    const today = parseISODate('2026-10-19');
+    it('deriva o atraso do vencimento quando não há entrega', () => {
+        expect(getFilingStatus({ date: '2026-10-19' }, undefined, today)).toBe('pendente');
+        expect(getFilingStatus({ date: '2026-10-18' }, undefined, today)).toBe('atrasado');
+        expect(getFilingStatus({ date: '2026-10-18' }, { status: 'entregue' }, today)).toBe('entregue');
+        expect(getFilingStatus({ date: '2026-10-30' }, { status: 'atrasado' }, today)).toBe('atrasado');
+    });
+});
+
+describe('ocorrências por cliente', () => {
+    it('começa no início do acompanhamento e usa os feriados da UF', () => {
+        const occurrences = getClientOccurrences([das, { id: 'x', title: 'X', date: '2026-07-09' }], client, '2026-07-01', '2026-09-30');
+        expect(occurrences.map(ob => `${ob.id}:${ob.date}`)).toEqual(['das:2026-08-20', 'das:2026-09-21']);
+    });
+
+    it('lista os atrasos de todos os clientes por data e nome, sem os já entregues', () => {
+        const other = { ...client, id: 'c2', name: 'Açougue Bom Corte', trackingStart: '2026-09-01' };
+        const filings = new Map([[getFilingId('c1', { id: 'das', date: '2026-08-20' }), { status: 'entregue' }]]);
+        const items = getOverdueItems([das], [client, other], filings, parseISODate('2026-10-19'));
+        expect(items.map(item => `${item.client.id}:${item.occurrence.date}`)).toEqual(['c2:2026-09-21', 'c1:2026-09-21']);
+    });
+});
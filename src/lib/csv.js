@@ -0,0 +1,61 @@
+// --- CSV ---
+// Separador ';' e BOM UTF-8, o formato que o Excel em português abre direto.
+
+export const CSV_SEPARATOR = ';';
+
+function escapeCell(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[";\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// `columns` é uma lista de { key, label }; arrays viram valores separados por '|'.
+export function toCsv(rows, columns) {
+    const header = columns.map(column => escapeCell(column.label)).join(CSV_SEPARATOR);
+    const lines = rows.map(row => columns.map(column => {
+        const value = row[column.key];
+        return escapeCell(Array.isArray(value) ? value.join('|') : value);
+    }).join(CSV_SEPARATOR));
+    return '\uFEFF' + [header, ...lines].join('\r\n') + '\r\n';
+}
+
+// Lê um CSV (RFC 4180) detectando o separador (';' ou ',') pela linha de
+// cabeçalho. Retorna uma lista de objetos indexados pelo cabeçalho, com o
+// número da linha de origem em `__line`.
+export function parseCsv(text) {
+    const content = text.replace(/^\uFEFF/, '');
+    const firstLine = content.slice(0, content.search(/\r?\n|$/));
+    const separator = firstLine.split(';').length >= firstLine.split(',').length ? ';' : ',';
+
+    const records = [];
+    let record = [];
+    let cell = '';
+    let inQuotes = false;
+    let line = 1;
+    let recordLine = 1;
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+        if (inQuotes) {
+            if (char === '"' && content[i + 1] === '"') { cell += '"'; i++; }
+            else if (char === '"') { inQuotes = false; }
+            else { cell += char; if (char === '\n') { line++; } }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === separator) {
+            record.push(cell); cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && content[i + 1] === '\n') { i++; }
+            record.push(cell); cell = '';
+            records.push({ cells: record, line: recordLine });
+            record = [];
+            recordLine = ++line;
+        } else {
+            cell += char;
+        }
+    }
+    if (cell || record.length) { record.push(cell); records.push({ cells: record, line: recordLine }); }
+
+    const [header, ...rows] = records.filter(r => r.cells.some(c => c.trim() !== ''));
+    if (!header) { return []; }
+    const keys = header.cells.map(key => key.trim());
+    return rows.map(({ cells, line }) => ({ __line: line, ...Object.fromEntries(keys.map((key, index) => [key, (cells[index] ?? '').trim()])) }));
+}
@@ -0,0 +1,45 @@
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+import { addDays, daysInMonth, isWeekend, parseISODate, toISODate } from './dates.js';
+
+// Fusos com e sem horário de verão, a oeste e a leste de UTC. São Paulo teve
+// horário de verão até 2019, começando à meia-noite (a 0h não existia).
+const TIMEZONES = ['America/Sao_Paulo', 'UTC', 'America/New_York', 'Asia/Tokyo', 'Pacific/Kiritimati'];
+
+describe.each(TIMEZONES)('datas no fuso %s', (timezone) => {
+    const originalTimezone = process.env.TZ;
+    beforeAll(() => { process.env.TZ = timezone; });
+    // Atribuir undefined gravaria a string "undefined" em process.env.
+    afterAll(() => { if (originalTimezone === undefined) { delete process.env.TZ; } else { process.env.TZ = originalTimezone; } });
+
+    it('converte ida e volta sem perder um dia', () => {
+        ['2026-01-01', '2026-02-28', '2024-02-29', '2026-12-31', '2018-11-04', '2026-03-08'].forEach(date => {
+            expect(toISODate(parseISODate(date))).toBe(date);
+        });
+    });
+
+    it('soma dias atravessando fim de mês, de ano e mudança de horário de verão', () => {
+        expect(toISODate(addDays(parseISODate('2026-01-31'), 1))).toBe('2026-02-01');
+        expect(toISODate(addDays(parseISODate('2026-12-31'), 1))).toBe('2027-01-01');
+        expect(toISODate(addDays(parseISODate('2027-01-01'), -1))).toBe('2026-12-31');
+        expect(toISODate(addDays(parseISODate('2018-11-03'), 1))).toBe('2018-11-04');
+        expect(toISODate(addDays(parseISODate('2018-11-04'), 1))).toBe('2018-11-05');
+        expect(toISODate(addDays(parseISODate('2026-03-07'), 2))).toBe('2026-03-09');
+        expect(toISODate(addDays(parseISODate('2026-11-01'), 7))).toBe('2026-11-08');
+    });
+
+    it('identifica fins de semana pelo dia local', () => {
+        expect(isWeekend(parseISODate('2026-10-17'))).toBe(true);
+        expect(isWeekend(parseISODate('2026-10-18'))).toBe(true);
+        expect(isWeekend(parseISODate('2026-10-19'))).toBe(false);
+    });
+});
+
+describe('daysInMonth', () => {
+    it('considera anos bissextos', () => {
+        expect(daysInMonth(2024, 1)).toBe(29);
+        expect(daysInMonth(2026, 1)).toBe(28);
+        expect(daysInMonth(2100, 1)).toBe(28);
+        expect(daysInMonth(2000, 1)).toBe(29);
+        expect(daysInMonth(2026, 11)).toBe(31);
+    });
+});
@@ -0,0 +1,17 @@
+import { parseFiltersFromSearch } from './filters.js';
+
+// --- CALENDÁRIO INCORPORÁVEL (embed.html) ---
+// Outros sites exibem o calendário num iframe, diretamente ou pelo elemento
+// <calendario-fiscal> de public/embed.js, que repassa os atributos para a URL
+// do iframe: os mesmos parâmetros dos filtros (esfera, regime, uf, busca), da
+// visão (visao, data) e o tema.
+
+export const EMBED_THEMES = { claro: 'Claro', escuro: 'Escuro', auto: 'Conforme o sistema' };
+
+// Mensagem enviada à página hospedeira para ajustar a altura do iframe.
+export const EMBED_HEIGHT_MESSAGE = 'calendario-fiscal:altura';
+
+export function parseEmbedOptions(search) {
+    const theme = new URLSearchParams(search).get('tema');
+    return { filters: parseFiltersFromSearch(search), theme: Object.hasOwn(EMBED_THEMES, theme ?? '') ? theme : 'claro' };
+}
@@ -0,0 +1,17 @@
+import { describe, expect, it } from 'vitest';
+import { parseEmbedOptions } from './embed.js';
+
+describe('parseEmbedOptions', () => {
+    it('lê os filtros e o tema dos atributos repassados na URL', () => {
+        expect(parseEmbedOptions('?esfera=Federal&regime=Simples+Nacional&tema=escuro')).toEqual({
+            filters: { sphere: 'Federal', regime: 'Simples Nacional', uf: '', q: '' },
+            theme: 'escuro',
+        });
+    });
+
+    it('usa o tema claro quando o valor é ausente ou desconhecido', () => {
+        expect(parseEmbedOptions('').theme).toBe('claro');
+        expect(parseEmbedOptions('?tema=roxo').theme).toBe('claro');
+        expect(parseEmbedOptions('?tema=toString').theme).toBe('claro');
+    });
+});
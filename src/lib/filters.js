@@ -0,0 +1,58 @@
+// --- CLASSIFICAÇÃO E FILTRO DAS OBRIGAÇÕES ---
+// Além da esfera, uma obrigação pode ser marcada com os regimes tributários a
+// que se aplica (`regimes`, vazio = todos), a UF (`uf`) e o município
+// (`municipality`). Sem UF, a obrigação vale para todos os estados.
+
+export const SPHERES = ['Federal', 'Estadual', 'Municipal'];
+export const REGIMES = ['Simples Nacional', 'Lucro Presumido', 'Lucro Real'];
+export const UFS = ['AC', 'AL', 'AM', 'AP', 'BA', 'CE', 'DF', 'ES', 'GO', 'MA', 'MG', 'MS', 'MT', 'PA', 'PB', 'PE', 'PI', 'PR', 'RJ', 'RN', 'RO', 'RR', 'RS', 'SC', 'SE', 'SP', 'TO'];
+
+export const EMPTY_FILTERS = { sphere: '', regime: '', uf: '', q: '' };
+
+// Nomes dos parâmetros na URL, em português para os links enviados aos clientes.
+const URL_PARAMS = { sphere: 'esfera', regime: 'regime', uf: 'uf', q: 'busca' };
+
+// Remove acentos e caixa para a busca livre ("declaração" encontra "DECLARACAO").
+export function normalizeText(text = '') {
+    return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+export function filterObligations(obligations, filters) {
+    const query = normalizeText(filters.q.trim());
+    return obligations.filter(ob => {
+        if (filters.sphere && ob.sphere !== filters.sphere) { return false; }
+        if (filters.regime && ob.regimes?.length > 0 && !ob.regimes.includes(filters.regime)) { return false; }
+        if (filters.uf && ob.uf && ob.uf !== filters.uf) { return false; }
+        if (query) {
+            const haystack = normalizeText([ob.title, ob.description, ob.legalBasis, ob.revenueCode, ob.municipality].filter(Boolean).join(' '));
+            if (!haystack.includes(query)) { return false; }
+        }
+        return true;
+    });
+}
+
+export function hasActiveFilters(filters) {
+    return Object.values(filters).some(Boolean);
+}
+
+export function parseFiltersFromSearch(search) {
+    const params = new URLSearchParams(search);
+    return Object.fromEntries(Object.entries(URL_PARAMS).map(([key, param]) => [key, params.get(param) || '']));
+}
+
+// Atualiza apenas os parâmetros de filtro, preservando os demais da URL.
+export function applyFiltersToSearch(search, filters) {
+    const params = new URLSearchParams(search);
+    Object.entries(URL_PARAMS).forEach(([key, param]) => {
+        if (filters[key]) { params.set(param, filters[key]); } else { params.delete(param); }
+    });
+    const result = params.toString();
+    return result ? `?${result}` : '';
+}
+
+const FILTER_LABELS = { sphere: 'Esfera', regime: 'Regime', uf: 'UF', q: 'Busca' };
+
+// Resumo dos filtros ativos, para o cabeçalho da versão impressa.
+export function describeFilters(filters) {
+    return Object.entries(FILTER_LABELS).filter(([key]) => filters[key]).map(([key, label]) => `${label}: ${filters[key]}`).join(' · ');
+}
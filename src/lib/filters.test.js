@@ -0,0 +1,37 @@
+import { describe, expect, it } from 'vitest';
+import { EMPTY_FILTERS, applyFiltersToSearch, describeFilters, filterObligations, parseFiltersFromSearch } from './filters.js';
+
+const obligations = [
+    { id: '1', title: 'Declaração de Débitos', sphere: 'Federal' },
+    { id: '2', title: 'GIA', sphere: 'Estadual', uf: 'SP', regimes: ['Lucro Real', 'Lucro Presumido'] },
+    { id: '3', title: 'ISS', sphere: 'Municipal', uf: 'RJ', municipality: 'Rio de Janeiro', regimes: ['Simples Nacional'] },
+];
+const ids = (filters) => filterObligations(obligations, { ...EMPTY_FILTERS, ...filters }).map(ob => ob.id);
+
+describe('filterObligations', () => {
+    it('mantém obrigações sem regime ou UF definidos para qualquer filtro', () => {
+        expect(ids({ regime: 'Simples Nacional' })).toEqual(['1', '3']);
+        expect(ids({ uf: 'SP' })).toEqual(['1', '2']);
+        expect(ids({ sphere: 'Municipal' })).toEqual(['3']);
+    });
+
+    it('busca sem considerar acentos nem caixa', () => {
+        expect(ids({ q: 'DECLARACAO' })).toEqual(['1']);
+        expect(ids({ q: 'rio de janeiro' })).toEqual(['3']);
+    });
+});
+
+describe('filtros na URL', () => {
+    it('lê e grava os parâmetros em português, preservando os demais', () => {
+        expect(parseFiltersFromSearch('?esfera=Federal&busca=das')).toEqual({ sphere: 'Federal', regime: '', uf: '', q: 'das' });
+        expect(applyFiltersToSearch('?visao=mes&esfera=Federal', { ...EMPTY_FILTERS, uf: 'SP' })).toBe('?visao=mes&uf=SP');
+        expect(applyFiltersToSearch('?esfera=Federal', EMPTY_FILTERS)).toBe('');
+    });
+});
+
+describe('describeFilters', () => {
+    it('resume apenas os filtros ativos', () => {
+        expect(describeFilters({ ...EMPTY_FILTERS, sphere: 'Estadual', uf: 'SP' })).toBe('Esfera: Estadual · UF: SP');
+        expect(describeFilters(EMPTY_FILTERS)).toBe('');
+    });
+});
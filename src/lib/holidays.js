@@ -0,0 +1,141 @@
+import { addDays, isWeekend, toISODate } from './dates.js';
+
+// --- FERIADOS NACIONAIS, ESTADUAIS E MUNICIPAIS ---
+// Cada entrada é fixa (`date: 'MM-DD'`) ou móvel (`easterOffset`: dias em
+// relação ao Domingo de Páscoa). As tabelas estaduais e municipais podem ser
+// ampliadas conforme novos clientes forem atendidos.
+
+const NATIONAL_HOLIDAYS = [
+    { date: '01-01', name: 'Confraternização Universal' },
+    { easterOffset: -48, name: 'Carnaval' },
+    { easterOffset: -47, name: 'Carnaval' },
+    { easterOffset: -2, name: 'Sexta-feira Santa' },
+    { date: '04-21', name: 'Tiradentes' },
+    { date: '05-01', name: 'Dia do Trabalho' },
+    { easterOffset: 60, name: 'Corpus Christi' },
+    { date: '09-07', name: 'Independência do Brasil' },
+    { date: '10-12', name: 'Nossa Senhora Aparecida' },
+    { date: '11-02', name: 'Finados' },
+    { date: '11-15', name: 'Proclamação da República' },
+    { date: '11-20', name: 'Dia Nacional de Zumbi e da Consciência Negra', since: 2024 },
+    { date: '12-25', name: 'Natal' },
+];
+
+export const STATE_HOLIDAYS = {
+    AC: [{ date: '01-23', name: 'Dia do Evangélico' }, { date: '06-15', name: 'Aniversário do Acre' }, { date: '09-05', name: 'Dia da Amazônia' }, { date: '11-17', name: 'Tratado de Petrópolis' }],
+    AL: [{ date: '06-24', name: 'São João' }, { date: '06-29', name: 'São Pedro' }, { date: '09-16', name: 'Emancipação Política de Alagoas' }],
+    AM: [{ date: '09-05', name: 'Elevação do Amazonas à Categoria de Província' }],
+    AP: [{ date: '03-19', name: 'São José' }, { date: '10-05', name: 'Criação do Estado do Amapá' }],
+    BA: [{ date: '07-02', name: 'Independência da Bahia' }],
+    CE: [{ date: '03-19', name: 'São José' }, { date: '03-25', name: 'Data Magna do Ceará' }],
+    DF: [{ date: '11-30', name: 'Dia do Evangélico' }],
+    MA: [{ date: '07-28', name: 'Adesão do Maranhão à Independência' }],
+    MS: [{ date: '10-11', name: 'Criação do Estado de Mato Grosso do Sul' }],
+    PA: [{ date: '08-15', name: 'Adesão do Pará à Independência' }],
+    PB: [{ date: '08-05', name: 'Fundação do Estado da Paraíba' }],
+    PE: [{ date: '03-06', name: 'Revolução Pernambucana' }],
+    PI: [{ date: '10-19', name: 'Dia do Piauí' }],
+    PR: [{ date: '12-19', name: 'Emancipação Política do Paraná' }],
+    RJ: [{ date: '04-23', name: 'Dia de São Jorge' }],
+    RN: [{ date: '10-03', name: 'Mártires de Cunhaú e Uruaçu' }],
+    RO: [{ date: '01-04', name: 'Criação do Estado de Rondônia' }, { date: '06-18', name: 'Dia do Evangélico' }],
+    RR: [{ date: '10-05', name: 'Criação do Estado de Roraima' }],
+    RS: [{ date: '09-20', name: 'Revolução Farroupilha' }],
+    SE: [{ date: '07-08', name: 'Emancipação Política de Sergipe' }],
+    SP: [{ date: '07-09', name: 'Revolução Constitucionalista' }],
+    TO: [{ date: '09-08', name: 'Nossa Senhora da Natividade' }, { date: '10-05', name: 'Criação do Estado do Tocantins' }],
+};
+
+// Chave no formato 'UF:Município', com o nome do município como no IBGE.
+export const MUNICIPAL_HOLIDAYS = {
+    'BA:Salvador': [{ date: '06-24', name: 'São João' }, { date: '12-08', name: 'Nossa Senhora da Conceição da Praia' }],
+    'MG:Belo Horizonte': [{ date: '08-15', name: 'Assunção de Nossa Senhora' }, { date: '12-08', name: 'Imaculada Conceição' }],
+    'PE:Recife': [{ date: '06-24', name: 'São João' }, { date: '07-16', name: 'Nossa Senhora do Carmo' }, { date: '12-08', name: 'Nossa Senhora da Conceição' }],
+    'PR:Curitiba': [{ date: '09-08', name: 'Nossa Senhora da Luz dos Pinhais' }],
+    'RJ:Rio de Janeiro': [{ date: '01-20', name: 'São Sebastião' }],
+    'RS:Porto Alegre': [{ date: '02-02', name: 'Nossa Senhora dos Navegantes' }],
+    'SP:São Paulo': [{ date: '01-25', name: 'Aniversário de São Paulo' }],
+};
+
+// Algoritmo de Meeus/Jones/Butcher para o calendário gregoriano.
+export function getEasterSunday(year) {
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31);
+    const day = ((h + l - 7 * m + 114) % 31) + 1;
+    return new Date(year, month - 1, day);
+}
+
+function resolveEntries(entries, year, scope) {
+    const easter = getEasterSunday(year);
+    return entries
+        .filter(entry => !entry.since || year >= entry.since)
+        .map(entry => ({
+            date: entry.easterOffset !== undefined ? toISODate(addDays(easter, entry.easterOffset)) : `${year}-${entry.date}`,
+            name: entry.name,
+            scope,
+        }));
+}
+
+// Lista os feriados do ano para a localidade ({ uf, municipality }), ordenados por data.
+export function getHolidays(year, { uf, municipality } = {}) {
+    const holidays = resolveEntries(NATIONAL_HOLIDAYS, year, 'Nacional');
+    if (uf && STATE_HOLIDAYS[uf]) { holidays.push(...resolveEntries(STATE_HOLIDAYS[uf], year, 'Estadual')); }
+    if (uf && municipality && MUNICIPAL_HOLIDAYS[`${uf}:${municipality}`]) { holidays.push(...resolveEntries(MUNICIPAL_HOLIDAYS[`${uf}:${municipality}`], year, 'Municipal')); }
+    return holidays.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// Cria um calendário de feriados para uma localidade, com cache por ano,
+// para ser usado pela grade e por qualquer cálculo de vencimento.
+export function createHolidayCalendar(location = {}) {
+    const cache = new Map();
+
+    const getHolidaysByDate = (year) => {
+        if (!cache.has(year)) {
+            const byDate = new Map();
+            getHolidays(year, location).forEach(holiday => {
+                // Se dois feriados coincidem, mantém o de maior abrangência.
+                if (!byDate.has(holiday.date)) { byDate.set(holiday.date, holiday); }
+            });
+            cache.set(year, byDate);
+        }
+        return cache.get(year);
+    };
+
+    const getHoliday = (date) => getHolidaysByDate(date.getFullYear()).get(toISODate(date)) || null;
+    const isBusinessDay = (date) => !isWeekend(date) && !getHoliday(date);
+
+    // Motivo pelo qual a data não é dia útil, ou null se for dia útil.
+    const getNonBusinessDayReason = (date) => {
+        const holiday = getHoliday(date);
+        if (holiday) { return holiday.name; }
+        if (date.getDay() === 0) { return 'Domingo'; }
+        if (date.getDay() === 6) { return 'Sábado'; }
+        return null;
+    };
+
+    return { getHoliday, isBusinessDay, getNonBusinessDayReason };
+}
+
+export const nationalHolidayCalendar = createHolidayCalendar();
+
+const calendarsByLocation = new Map();
+
+// Calendário compartilhado por localidade, para os cálculos que passam por
+// muitas obrigações (cada uma com a sua UF e município).
+export function getHolidayCalendar({ uf, municipality } = {}) {
+    if (!uf) { return nationalHolidayCalendar; }
+    const key = municipality ? `${uf}:${municipality}` : uf;
+    if (!calendarsByLocation.has(key)) { calendarsByLocation.set(key, createHolidayCalendar({ uf, municipality: municipality || undefined })); }
+    return calendarsByLocation.get(key);
+}
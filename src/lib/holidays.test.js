@@ -0,0 +1,34 @@
+import { describe, expect, it } from 'vitest';
+import { parseISODate, toISODate } from './dates.js';
+import { createHolidayCalendar, getEasterSunday, getHolidays, nationalHolidayCalendar } from './holidays.js';
+
+describe('getEasterSunday', () => {
+    it.each([[2024, '2024-03-31'], [2025, '2025-04-20'], [2026, '2026-04-05'], [2027, '2027-03-28'], [2038, '2038-04-25']])('calcula a Páscoa de %i', (year, expected) => {
+        expect(toISODate(getEasterSunday(year))).toBe(expected);
+    });
+});
+
+describe('getHolidays', () => {
+    it('inclui os feriados móveis e o Dia da Consciência Negra a partir de 2024', () => {
+        const dates = getHolidays(2026).map(holiday => holiday.date);
+        expect(dates).toEqual(expect.arrayContaining(['2026-02-16', '2026-02-17', '2026-04-03', '2026-06-04', '2026-11-20']));
+        expect(getHolidays(2023).map(holiday => holiday.date)).not.toContain('2023-11-20');
+    });
+
+    it('acrescenta feriados estaduais e municipais da localidade', () => {
+        const holidays = getHolidays(2026, { uf: 'SP', municipality: 'São Paulo' });
+        expect(holidays.find(holiday => holiday.date === '2026-07-09')).toMatchObject({ scope: 'Estadual' });
+        expect(holidays.find(holiday => holiday.date === '2026-01-25')).toMatchObject({ scope: 'Municipal' });
+        expect(holidays.map(holiday => holiday.date)).toEqual([...holidays.map(holiday => holiday.date)].sort());
+    });
+});
+
+describe('createHolidayCalendar', () => {
+    it('distingue fins de semana, feriados e dias úteis', () => {
+        const calendar = createHolidayCalendar({ uf: 'RJ' });
+        expect(calendar.isBusinessDay(parseISODate('2026-04-23'))).toBe(false);
+        expect(nationalHolidayCalendar.isBusinessDay(parseISODate('2026-04-23'))).toBe(true);
+        expect(calendar.getNonBusinessDayReason(parseISODate('2026-10-18'))).toMatch(/domingo/i);
+        expect(calendar.getHoliday(parseISODate('2026-12-25'))).toMatchObject({ name: 'Natal', scope: 'Nacional' });
+    });
+});
@@ -0,0 +1,108 @@
+import { addDays, parseISODate, toISODate } from './dates.js';
+import { expandObligations } from './recurrence.js';
+
+// --- EXPORTAÇÃO EM iCALENDAR (RFC 5545) ---
+// Gera um VCALENDAR com um VEVENT de dia inteiro por vencimento. Usado tanto
+// pelo botão "Adicionar à minha agenda" quanto pelo script do feed estático.
+
+const PRODID = '-//Calendario Fiscal//Obrigacoes//PT-BR';
+const UID_DOMAIN = 'calendario-fiscal';
+
+// Escapa texto conforme a seção 3.3.11 (barra, ponto e vírgula, vírgula e quebras de linha).
+function escapeText(text = '') {
+    return String(text).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+// Dobra linhas com mais de 75 octetos (seção 3.1), sem partir caracteres UTF-8.
+function foldLine(line) {
+    const encoder = new TextEncoder();
+    if (encoder.encode(line).length <= 75) { return line; }
+    const parts = [];
+    let current = '';
+    let currentLength = 0;
+    for (const char of line) {
+        const charLength = encoder.encode(char).length;
+        // A primeira linha comporta 75 octetos; as seguintes, 74 além do espaço inicial.
+        if (currentLength + charLength > (parts.length === 0 ? 75 : 74)) {
+            parts.push(current);
+            current = '';
+            currentLength = 0;
+        }
+        current += char;
+        currentLength += charLength;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+function formatDate(dateString) {
+    return dateString.replace(/-/g, '');
+}
+
+function formatTimestamp(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Obrigações de data única usam o ID do documento como UID; as recorrentes
+// acrescentam a data, já que geram um evento por vencimento.
+export function getEventUid(occurrence) {
+    const base = occurrence.recurrence ? `${occurrence.id}-${formatDate(occurrence.date)}` : occurrence.id;
+    return `${base}@${UID_DOMAIN}`;
+}
+
+function buildDescription(ob) {
+    return [
+        ob.description,
+        ob.taxpayerProfile && `Contribuintes: ${ob.taxpayerProfile}`,
+        ob.legalBasis && `Base legal: ${ob.legalBasis}`,
+        ob.revenueCode && `Código de receita: ${ob.revenueCode}`,
+        ob.officialUrl,
+    ].filter(Boolean).join('\n');
+}
+
+function buildEvent(ob, timestamp) {
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:${getEventUid(ob)}`,
+        `DTSTAMP:${timestamp}`,
+        `DTSTART;VALUE=DATE:${formatDate(ob.date)}`,
+        `DTEND;VALUE=DATE:${formatDate(toISODate(addDays(parseISODate(ob.date), 1)))}`,
+        `SUMMARY:${escapeText(ob.title)}`,
+        'TRANSP:TRANSPARENT',
+    ];
+    if (ob.sphere) { lines.push(`CATEGORIES:${escapeText(ob.sphere)}`); }
+    const description = buildDescription(ob);
+    if (description) { lines.push(`DESCRIPTION:${escapeText(description)}`); }
+    if (ob.officialUrl) { lines.push(`URL:${ob.officialUrl}`); }
+    // Lembrete às 9h do dia anterior (o evento começa à 0h do vencimento).
+    lines.push('BEGIN:VALARM', 'ACTION:DISPLAY', 'TRIGGER:-PT15H', `DESCRIPTION:${escapeText(`Amanhã vence: ${ob.title}`)}`, 'END:VALARM');
+    lines.push('END:VEVENT');
+    return lines;
+}
+
+// Monta o VCALENDAR com os vencimentos entre `from` e `to` ('YYYY-MM-DD').
+export function buildICalendar(obligations, { from, to, calendarName = 'Calendário Fiscal', now = new Date() }) {
+    const timestamp = formatTimestamp(now);
+    const occurrences = expandObligations(obligations, from, to)
+        .sort((a, b) => a.date.localeCompare(b.date));
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(calendarName)}`,
+        'X-WR-TIMEZONE:America/Sao_Paulo',
+        ...occurrences.flatMap(ob => buildEvent(ob, timestamp)),
+        'END:VCALENDAR',
+    ];
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+// Período padrão da exportação: do início do mês atual até 12 meses à frente.
+export function getDefaultExportRange(today = new Date()) {
+    return {
+        from: toISODate(new Date(today.getFullYear(), today.getMonth(), 1)),
+        to: toISODate(new Date(today.getFullYear(), today.getMonth() + 13, 0)),
+    };
+}
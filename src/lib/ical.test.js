@@ -0,0 +1,39 @@
+import { describe, expect, it } from 'vitest';
+import { buildICalendar, getDefaultExportRange, getEventUid } from './ical.js';
+
+const NOW = new Date(Date.UTC(2026, 9, 19, 12, 0, 0));
+
+describe('buildICalendar', () => {
+    const obligations = [
+        { id: 'unica', title: 'DCTFWeb; competência, setembro', sphere: 'Federal', date: '2026-10-15', description: 'Linha 1\nLinha 2' },
+        { id: 'mensal', title: 'DAS', sphere: 'Federal', recurrence: { frequency: 'monthly', dayRule: 'fixed', day: 20, adjustment: 'postpone' } },
+    ];
+    const ics = buildICalendar(obligations, { from: '2026-10-01', to: '2026-11-30', now: NOW });
+    const lines = ics.split('\r\n');
+
+    it('gera um evento de dia inteiro por vencimento, em ordem', () => {
+        // 20/11/2026 é feriado (Consciência Negra) numa sexta: prorroga para segunda, 23.
+        expect(lines[0]).toBe('BEGIN:VCALENDAR');
+        expect(lines.filter(line => line.startsWith('DTSTART')).map(line => line.split(':')[1])).toEqual(['20261015', '20261020', '20261123']);
+        expect(lines).toContain('DTEND;VALUE=DATE:20261016');
+        expect(lines).toContain('DTSTAMP:20261019T120000Z');
+    });
+
+    it('usa UIDs estáveis por ocorrência', () => {
+        expect(getEventUid({ id: 'unica', date: '2026-10-15' })).toBe('unica@calendario-fiscal');
+        expect(lines).toContain('UID:mensal-20261123@calendario-fiscal');
+    });
+
+    it('escapa texto e dobra linhas longas em até 75 octetos', () => {
+        expect(lines).toContain('SUMMARY:DCTFWeb\\; competência\\, setembro');
+        expect(ics).toContain('DESCRIPTION:Linha 1\\nLinha 2');
+        const long = buildICalendar([{ id: 'x', title: 'Obrigação acessória '.repeat(10), date: '2026-10-15' }], { from: '2026-10-01', to: '2026-10-31', now: NOW });
+        long.split('\r\n').forEach(line => expect(new TextEncoder().encode(line).length).toBeLessThanOrEqual(75));
+    });
+});
+
+describe('getDefaultExportRange', () => {
+    it('vai do início do mês até o fim do 12º mês seguinte', () => {
+        expect(getDefaultExportRange(new Date(2026, 11, 31))).toEqual({ from: '2026-12-01', to: '2027-12-31' });
+    });
+});
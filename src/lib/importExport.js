@@ -0,0 +1,112 @@
+import { toCsv, parseCsv } from './csv.js';
+import { parseISODate, toISODate } from './dates.js';
+import { FREQUENCIES, DAY_RULES, ADJUSTMENTS } from './recurrence.js';
+import { SPHERES, REGIMES, UFS } from './filters.js';
+
+// --- IMPORTAÇÃO E EXPORTAÇÃO EM LOTE DAS OBRIGAÇÕES ---
+// CSV e JSON usam os mesmos nomes de campo do Firestore. No CSV, `regimes` é
+// separado por '|' e `recurrence` vai como JSON.
+
+export const OBLIGATION_FIELDS = ['title', 'date', 'sphere', 'uf', 'municipality', 'regimes', 'description', 'legalBasis', 'taxpayerProfile', 'revenueCode', 'officialUrl', 'recurrence'];
+
+const CSV_COLUMNS = OBLIGATION_FIELDS.map(key => ({ key, label: key }));
+
+export function exportObligationsToCsv(obligations) {
+    return toCsv(obligations.map(ob => ({ ...ob, recurrence: ob.recurrence ? JSON.stringify(ob.recurrence) : '' })), CSV_COLUMNS);
+}
+
+export function exportObligationsToJson(obligations) {
+    return JSON.stringify(obligations.map(ob => Object.fromEntries(
+        [['id', ob.id], ...OBLIGATION_FIELDS.map(key => [key, ob[key] ?? (key === 'regimes' ? [] : key === 'recurrence' ? null : '')])],
+    )), null, 2);
+}
+
+// Chave usada para detectar duplicatas: título, esfera, UF, município, regimes
+// e data (ou regra). O ISS de dois municípios, por exemplo, não é duplicata.
+export function getDuplicateKey(ob) {
+    const when = ob.recurrence ? JSON.stringify(['frequency', 'dayRule', 'day', 'month', 'adjustment'].map(key => ob.recurrence[key] ?? null)) : ob.date;
+    const regimes = toList(ob.regimes).map(regime => regime.trim().toLowerCase()).sort().join(',');
+    return [ob.title, ob.sphere, ob.uf || '', ob.municipality || '', regimes, when].map(part => String(part).trim().toLowerCase()).join('|');
+}
+
+function isValidISODate(value) {
+    return /^\d{4}-\d{2}-\d{2}$/.test(value) && toISODate(parseISODate(value)) === value;
+}
+
+function findCanonical(options, value) {
+    return options.find(option => option.toLowerCase() === String(value).trim().toLowerCase());
+}
+
+function toList(value) {
+    if (Array.isArray(value)) { return value; }
+    return value ? String(value).split('|').map(item => item.trim()).filter(Boolean) : [];
+}
+
+// Normaliza e valida um registro bruto (linha do CSV ou item do JSON).
+export function validateObligation(raw) {
+    const errors = [];
+    const data = {
+        title: String(raw.title ?? '').trim(),
+        date: String(raw.date ?? '').trim(),
+        sphere: findCanonical(SPHERES, raw.sphere ?? '') ?? String(raw.sphere ?? '').trim(),
+        uf: String(raw.uf ?? '').trim().toUpperCase(),
+        municipality: String(raw.municipality ?? '').trim(),
+        regimes: toList(raw.regimes).map(regime => findCanonical(REGIMES, regime) ?? regime),
+        description: String(raw.description ?? '').trim(),
+        legalBasis: String(raw.legalBasis ?? '').trim(),
+        taxpayerProfile: String(raw.taxpayerProfile ?? '').trim(),
+        revenueCode: String(raw.revenueCode ?? '').trim(),
+        officialUrl: String(raw.officialUrl ?? '').trim(),
+        recurrence: null,
+    };
+
+    if (!data.title) { errors.push('Título obrigatório.'); }
+    if (!SPHERES.includes(data.sphere)) { errors.push(`Esfera desconhecida: "${data.sphere}". Use ${SPHERES.join(', ')}.`); }
+    if (data.uf && !UFS.includes(data.uf)) { errors.push(`UF inválida: "${data.uf}".`); }
+    if (data.municipality && !data.uf) { errors.push('Município informado sem UF.'); }
+    data.regimes.filter(regime => !REGIMES.includes(regime)).forEach(regime => errors.push(`Regime desconhecido: "${regime}".`));
+    if (data.officialUrl && !/^https?:\/\/\S+$/i.test(data.officialUrl)) { errors.push('Link oficial deve começar com http:// ou https://.'); }
+
+    if (raw.recurrence) {
+        try {
+            data.recurrence = typeof raw.recurrence === 'string' ? JSON.parse(raw.recurrence) : raw.recurrence;
+        } catch {
+            errors.push('Recorrência não é um JSON válido.');
+        }
+    }
+    if (data.recurrence) {
+        const { frequency, dayRule, adjustment, startDate, endDate } = data.recurrence;
+        if (!FREQUENCIES[frequency]) { errors.push(`Frequência desconhecida: "${frequency}".`); }
+        if (!DAY_RULES[dayRule]) { errors.push(`Regra do dia desconhecida: "${dayRule}".`); }
+        if (adjustment && !ADJUSTMENTS[adjustment]) { errors.push(`Ajuste desconhecido: "${adjustment}".`); }
+        [startDate, endDate].filter(Boolean).forEach(date => { if (!isValidISODate(date)) { errors.push(`Vigência com data inválida: "${date}".`); } });
+        data.date = '';
+    } else if (!isValidISODate(data.date)) {
+        errors.push(data.date ? `Data inválida: "${data.date}". Use AAAA-MM-DD.` : 'Data obrigatória (ou informe uma recorrência).');
+    }
+
+    return { data, errors };
+}
+
+// Lê o arquivo (CSV ou JSON, pelo nome) e devolve a prévia da importação:
+// [{ line, data, errors, duplicate }]. Duplicatas são verificadas contra as
+// obrigações existentes e contra as linhas anteriores do próprio arquivo.
+export function parseImportFile(fileName, content, existingObligations) {
+    let records;
+    if (/\.json$/i.test(fileName)) {
+        const parsed = JSON.parse(content);
+        if (!Array.isArray(parsed)) { throw new Error('O JSON deve ser uma lista de obrigações.'); }
+        records = parsed.map((item, index) => ({ __line: index + 1, ...item }));
+    } else {
+        records = parseCsv(content);
+    }
+
+    const seen = new Set(existingObligations.map(getDuplicateKey));
+    return records.map(({ __line, ...raw }) => {
+        const { data, errors } = validateObligation(raw);
+        const key = getDuplicateKey(data);
+        const duplicate = errors.length === 0 && seen.has(key);
+        if (errors.length === 0) { seen.add(key); }
+        return { line: __line, data, errors, duplicate };
+    });
+}
@@ -0,0 +1,59 @@
+import { describe, expect, it } from 'vitest';
+import { parseCsv, toCsv } from './csv.js';
+import { exportObligationsToCsv, exportObligationsToJson, parseImportFile, validateObligation } from './importExport.js';
+
+describe('CSV', () => {
+    it('escapa separadores, aspas e quebras de linha e lê de volta', () => {
+        const csv = toCsv([{ a: 'x;y', b: 'diz "oi"\nfim', c: ['1', '2'] }], [{ key: 'a', label: 'a' }, { key: 'b', label: 'b' }, { key: 'c', label: 'c' }]);
+        expect(csv.startsWith('﻿a;b;c\r\n')).toBe(true);
+        expect(parseCsv(csv)).toEqual([{ __line: 2, a: 'x;y', b: 'diz "oi"\nfim', c: '1|2' }]);
+    });
+
+    it('detecta o separador vírgula e numera as linhas de origem', () => {
+        expect(parseCsv('title,date\n\nA,2026-01-01\r\nB,2026-01-02')).toEqual([
+            { __line: 3, title: 'A', date: '2026-01-01' },
+            { __line: 4, title: 'B', date: '2026-01-02' },
+        ]);
+    });
+});
+
+describe('validateObligation', () => {
+    it('normaliza esfera, regimes e UF', () => {
+        const { data, errors } = validateObligation({ title: ' DAS ', date: '2026-01-20', sphere: 'federal', regimes: 'simples nacional', uf: 'sp' });
+        expect(errors).toEqual([]);
+        expect(data).toMatchObject({ title: 'DAS', sphere: 'Federal', regimes: ['Simples Nacional'], uf: 'SP' });
+    });
+
+    it('aponta datas impossíveis, esferas desconhecidas e recorrências inválidas', () => {
+        expect(validateObligation({ title: 'X', date: '2026-02-30', sphere: 'Federal' }).errors).toEqual(['Data inválida: "2026-02-30". Use AAAA-MM-DD.']);
+        expect(validateObligation({ title: 'X', date: '2026-02-10', sphere: 'Distrital' }).errors[0]).toMatch(/Esfera desconhecida/);
+        expect(validateObligation({ title: 'X', sphere: 'Federal', recurrence: '{' }).errors).toContain('Recorrência não é um JSON válido.');
+    });
+});
+
+describe('parseImportFile', () => {
+    const existing = [{ title: 'DAS', sphere: 'Federal', date: '2026-01-20' }];
+
+    it('marca duplicatas do cadastro e do próprio arquivo', () => {
+        const rows = parseImportFile('obrigacoes.csv', 'title;date;sphere\nDAS;2026-01-20;Federal\nGIA;2026-01-15;Estadual\ngia;2026-01-15;estadual', existing);
+        expect(rows.map(row => [row.line, row.duplicate])).toEqual([[2, true], [3, false], [4, true]]);
+    });
+
+    it('não considera duplicatas obrigações de outro município ou regime', () => {
+        const registered = [
+            { title: 'ISS', sphere: 'Municipal', uf: 'SP', municipality: 'São Paulo', date: '2026-01-10' },
+            { title: 'DAS', sphere: 'Federal', regimes: ['Lucro Real'], date: '2026-01-20' },
+        ];
+        const csv = 'title;date;sphere;uf;municipality;regimes\nISS;2026-01-10;Municipal;SP;Campinas;\nISS;2026-01-10;Municipal;SP; são paulo ;\nDAS;2026-01-20;Federal;;;Simples Nacional\nDAS;2026-01-20;Federal;;;lucro real';
+        expect(parseImportFile('obrigacoes.csv', csv, registered).map(row => [row.line, row.duplicate])).toEqual([[2, false], [3, true], [4, false], [5, true]]);
+    });
+
+    it('aceita de volta o que a exportação gera', () => {
+        const obligations = [{ id: '1', title: 'DAS', sphere: 'Federal', date: '', regimes: ['Simples Nacional'], recurrence: { frequency: 'monthly', dayRule: 'fixed', day: 20, adjustment: 'postpone' } }];
+        [['a.csv', exportObligationsToCsv(obligations)], ['a.json', exportObligationsToJson(obligations)]].forEach(([fileName, content]) => {
+            const [row] = parseImportFile(fileName, content, []);
+            expect(row.errors).toEqual([]);
+            expect(row.data.recurrence).toEqual(obligations[0].recurrence);
+        });
+    });
+});
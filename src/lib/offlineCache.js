@@ -0,0 +1,45 @@
+// --- ÚLTIMOS DADOS CARREGADOS (INDEXEDDB) ---
+// Guarda o último retrato das obrigações recebido do servidor, para exibi-lo
+// sem conexão no lugar dos dados de demonstração.
+
+const DB_NAME = 'calendario-fiscal';
+const STORE_NAME = 'snapshots';
+
+function openDatabase() {
+    return new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') { reject(new Error('IndexedDB indisponível.')); return; }
+        const request = indexedDB.open(DB_NAME, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function runTransaction(mode, operation) {
+    return openDatabase().then(db => new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE_NAME, mode);
+        const request = operation(transaction.objectStore(STORE_NAME));
+        transaction.oncomplete = () => { db.close(); resolve(request.result); };
+        transaction.onerror = () => { db.close(); reject(transaction.error); };
+    }));
+}
+
+// Os documentos passam por JSON para guardar apenas dados simples (sem
+// instâncias de classes do SDK do Firestore).
+export async function saveObligationsSnapshot(key, obligations) {
+    try {
+        await runTransaction('readwrite', store => store.put({ obligations: JSON.parse(JSON.stringify(obligations)), savedAt: Date.now() }, key));
+    } catch (error) {
+        console.warn("Não foi possível salvar os dados para uso offline:", error);
+    }
+}
+
+// Retorna { obligations, savedAt } ou null se nada foi salvo ainda.
+export async function loadObligationsSnapshot(key) {
+    try {
+        return (await runTransaction('readonly', store => store.get(key))) ?? null;
+    } catch (error) {
+        console.warn("Não foi possível ler os dados salvos para uso offline:", error);
+        return null;
+    }
+}
@@ -0,0 +1,112 @@
+import { addDays, daysInMonth, parseISODate, toISODate } from './dates.js';
+import { getHolidayCalendar } from './holidays.js';
+
+// --- REGRAS DE RECORRÊNCIA DAS OBRIGAÇÕES ---
+// Uma obrigação pode ter uma data única (`date`) ou uma regra (`recurrence`):
+// {
+//   frequency: 'monthly' | 'quarterly' | 'annual',
+//   dayRule: 'fixed' | 'nthBusinessDay' | 'lastBusinessDay',
+//   day: número do dia (fixo) ou posição do dia útil (N-ésimo),
+//   month: mês do ano (anual, 1-12) ou mês dentro do trimestre (trimestral, 1-3),
+//   adjustment: 'none' | 'anticipate' | 'postpone',  // só para dia fixo
+//   startDate, endDate: 'YYYY-MM-DD' opcionais delimitando a vigência
+// }
+// Os dias úteis são os da obrigação: feriados nacionais mais os da sua UF e
+// município, em qualquer lugar em que o vencimento seja exibido ou enviado.
+
+export const FREQUENCIES = { monthly: 'Mensal', quarterly: 'Trimestral', annual: 'Anual' };
+export const DAY_RULES = { fixed: 'Dia fixo', nthBusinessDay: 'N-ésimo dia útil', lastBusinessDay: 'Último dia útil do mês' };
+export const ADJUSTMENTS = { none: 'Manter a data', anticipate: 'Antecipar para o dia útil anterior', postpone: 'Prorrogar para o próximo dia útil' };
+
+export const DEFAULT_RECURRENCE = { frequency: 'monthly', dayRule: 'fixed', day: 20, month: 1, adjustment: 'postpone', startDate: '', endDate: '' };
+
+const MONTH_NAMES = ['jan', 'fev', 'mar', 'abr', 'mai', 'jun', 'jul', 'ago', 'set', 'out', 'nov', 'dez'];
+
+// Indica se a regra gera vencimento no mês informado (monthIndex de 0 a 11).
+function occursInMonth(recurrence, monthIndex) {
+    switch (recurrence.frequency) {
+        case 'monthly': return true;
+        case 'quarterly': return monthIndex % 3 === (Number(recurrence.month) || 1) - 1;
+        case 'annual': return monthIndex === (Number(recurrence.month) || 1) - 1;
+        default: return false;
+    }
+}
+
+// Calcula o vencimento da regra no mês informado ou retorna null se não houver.
+// `location` ({ uf, municipality }) define os feriados considerados.
+export function computeDueDate(recurrence, year, monthIndex, location = {}) {
+    if (!recurrence || !occursInMonth(recurrence, monthIndex)) { return null; }
+    const { isBusinessDay } = getHolidayCalendar(location);
+    const lastDay = daysInMonth(year, monthIndex);
+    const day = Number(recurrence.day) || 1;
+
+    if (recurrence.dayRule === 'lastBusinessDay') {
+        let date = new Date(year, monthIndex, lastDay);
+        while (!isBusinessDay(date)) { date = addDays(date, -1); }
+        return date;
+    }
+
+    if (recurrence.dayRule === 'nthBusinessDay') {
+        let count = 0;
+        for (let i = 1; i <= lastDay; i++) {
+            const date = new Date(year, monthIndex, i);
+            if (isBusinessDay(date) && ++count === day) { return date; }
+        }
+        return null; // O mês não tem N dias úteis
+    }
+
+    // Dia fixo: meses mais curtos usam o último dia (ex.: dia 31 em fevereiro).
+    let date = new Date(year, monthIndex, Math.min(day, lastDay));
+    if (recurrence.adjustment === 'anticipate') {
+        while (!isBusinessDay(date)) { date = addDays(date, -1); }
+    } else if (recurrence.adjustment === 'postpone') {
+        while (!isBusinessDay(date)) { date = addDays(date, 1); }
+    }
+    return date;
+}
+
+// Expande obrigações únicas e recorrentes em ocorrências com `date` concreta
+// dentro do intervalo [startDate, endDate] (strings 'YYYY-MM-DD', inclusivo).
+export function expandObligations(obligations, startDate, endDate) {
+    const occurrences = [];
+    const start = parseISODate(startDate);
+    const end = parseISODate(endDate);
+
+    obligations.forEach(ob => {
+        if (!ob.recurrence) {
+            if (ob.date && ob.date >= startDate && ob.date <= endDate) { occurrences.push(ob); }
+            return;
+        }
+        // Começa um mês antes e termina um mês depois, pois a antecipação ou
+        // prorrogação pode levar o vencimento para o mês vizinho.
+        for (let cursor = new Date(start.getFullYear(), start.getMonth() - 1, 1); cursor <= new Date(end.getFullYear(), end.getMonth() + 1, 1); cursor = new Date(cursor.getFullYear(), cursor.getMonth() + 1, 1)) {
+            const dueDate = computeDueDate(ob.recurrence, cursor.getFullYear(), cursor.getMonth(), { uf: ob.uf, municipality: ob.municipality });
+            if (!dueDate) { continue; }
+            const dateString = toISODate(dueDate);
+            if (dateString < startDate || dateString > endDate) { continue; }
+            if (ob.recurrence.startDate && dateString < ob.recurrence.startDate) { continue; }
+            if (ob.recurrence.endDate && dateString > ob.recurrence.endDate) { continue; }
+            occurrences.push({ ...ob, date: dateString });
+        }
+    });
+
+    return occurrences;
+}
+
+// Texto curto para exibir a regra no painel administrativo.
+export function describeRecurrence(recurrence) {
+    if (!recurrence) { return ''; }
+    const parts = [FREQUENCIES[recurrence.frequency] || recurrence.frequency];
+    if (recurrence.frequency === 'annual') { parts.push(MONTH_NAMES[(Number(recurrence.month) || 1) - 1]); }
+    if (recurrence.frequency === 'quarterly') { parts.push(`${recurrence.month}º mês do trimestre`); }
+    if (recurrence.dayRule === 'lastBusinessDay') {
+        parts.push('último dia útil');
+    } else if (recurrence.dayRule === 'nthBusinessDay') {
+        parts.push(`${recurrence.day}º dia útil`);
+    } else {
+        parts.push(`dia ${recurrence.day}`);
+        if (recurrence.adjustment === 'anticipate') { parts.push('antecipa se não útil'); }
+        if (recurrence.adjustment === 'postpone') { parts.push('prorroga se não útil'); }
+    }
+    return parts.join(' · ');
+}
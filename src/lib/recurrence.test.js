@@ -0,0 +1,81 @@
+import { describe, expect, it } from 'vitest';
+import { toISODate } from './dates.js';
+import { computeDueDate, describeRecurrence, expandObligations } from './recurrence.js';
+
+const due = (recurrence, year, monthIndex, location) => {
+    const date = computeDueDate(recurrence, year, monthIndex, location);
+    return date && toISODate(date);
+};
+
+describe('computeDueDate', () => {
+    it('usa o último dia dos meses mais curtos para dias fixos', () => {
+        const recurrence = { frequency: 'monthly', dayRule: 'fixed', day: 31, adjustment: 'none' };
+        expect(due(recurrence, 2026, 1)).toBe('2026-02-28');
+        expect(due(recurrence, 2024, 1)).toBe('2024-02-29');
+        expect(due(recurrence, 2026, 3)).toBe('2026-04-30');
+    });
+
+    it('antecipa ou prorroga vencimentos em fins de semana e feriados', () => {
+        // 20/09/2026 é domingo; 02/11/2026 (Finados) é segunda.
+        expect(due({ frequency: 'monthly', dayRule: 'fixed', day: 20, adjustment: 'postpone' }, 2026, 8)).toBe('2026-09-21');
+        expect(due({ frequency: 'monthly', dayRule: 'fixed', day: 20, adjustment: 'anticipate' }, 2026, 8)).toBe('2026-09-18');
+        expect(due({ frequency: 'monthly', dayRule: 'fixed', day: 2, adjustment: 'anticipate' }, 2026, 10)).toBe('2026-10-30');
+        expect(due({ frequency: 'monthly', dayRule: 'fixed', day: 20, adjustment: 'none' }, 2026, 8)).toBe('2026-09-20');
+    });
+
+    it('conta dias úteis ignorando feriados', () => {
+        // Janeiro de 2027: dia 1 (sexta) é feriado; o 1º dia útil é segunda, 4.
+        expect(due({ frequency: 'monthly', dayRule: 'nthBusinessDay', day: 1 }, 2027, 0)).toBe('2027-01-04');
+        expect(due({ frequency: 'monthly', dayRule: 'nthBusinessDay', day: 30 }, 2027, 0)).toBeNull();
+        // 31/12/2027 é sexta e não é feriado nacional.
+        expect(due({ frequency: 'monthly', dayRule: 'lastBusinessDay' }, 2027, 11)).toBe('2027-12-31');
+    });
+
+    it('considera feriados estaduais quando a UF é informada', () => {
+        // 09/07/2026 (quinta) é feriado em SP.
+        const recurrence = { frequency: 'monthly', dayRule: 'fixed', day: 9, adjustment: 'postpone' };
+        expect(due(recurrence, 2026, 6)).toBe('2026-07-09');
+        expect(due(recurrence, 2026, 6, { uf: 'SP' })).toBe('2026-07-10');
+    });
+
+    it('gera trimestrais e anuais apenas nos meses da regra', () => {
+        const quarterly = { frequency: 'quarterly', dayRule: 'lastBusinessDay', month: 1 };
+        expect([0, 1, 2, 3, 6, 9].map(month => due(quarterly, 2026, month) !== null)).toEqual([true, false, false, true, true, true]);
+        const annual = { frequency: 'annual', dayRule: 'fixed', day: 31, month: 5, adjustment: 'none' };
+        expect(due(annual, 2026, 4)).toBe('2026-05-31');
+        expect(due(annual, 2026, 5)).toBeNull();
+    });
+});
+
+describe('expandObligations', () => {
+    it('inclui obrigações de data única apenas dentro do intervalo', () => {
+        const obligations = [{ id: '1', date: '2026-12-31' }, { id: '2', date: '2027-01-01' }, { id: '3', date: '' }];
+        expect(expandObligations(obligations, '2026-12-01', '2026-12-31').map(ob => ob.id)).toEqual(['1']);
+    });
+
+    it('atravessa a virada do ano e respeita a vigência', () => {
+        const obligation = { id: 'r', recurrence: { frequency: 'monthly', dayRule: 'fixed', day: 15, adjustment: 'none', startDate: '2026-12-01', endDate: '2027-02-28' } };
+        expect(expandObligations([obligation], '2026-10-01', '2027-06-30').map(ob => ob.date)).toEqual(['2026-12-15', '2027-01-15', '2027-02-15']);
+    });
+
+    it('inclui vencimentos prorrogados para dentro do intervalo a partir do mês anterior', () => {
+        // 31/10/2026 é sábado: a prorrogação leva para 03/11 (02/11 é Finados).
+        // Em novembro, o dia 31 vira o último dia do mês (30, segunda).
+        const obligation = { id: 'r', recurrence: { frequency: 'monthly', dayRule: 'fixed', day: 31, adjustment: 'postpone' } };
+        expect(expandObligations([obligation], '2026-11-01', '2026-11-30').map(ob => ob.date)).toEqual(['2026-11-03', '2026-11-30']);
+    });
+
+    it('usa os feriados da UF de cada obrigação', () => {
+        // 09/07/2026 (quinta) é feriado só em SP: a obrigação paulista prorroga, a federal não.
+        const recurrence = { frequency: 'monthly', dayRule: 'fixed', day: 9, adjustment: 'postpone' };
+        const obligations = [{ id: 'sp', uf: 'SP', recurrence }, { id: 'federal', recurrence }];
+        expect(expandObligations(obligations, '2026-07-01', '2026-07-31').map(ob => `${ob.id} ${ob.date}`)).toEqual(['sp 2026-07-10', 'federal 2026-07-09']);
+    });
+});
+
+describe('describeRecurrence', () => {
+    it('resume a regra para o painel', () => {
+        expect(describeRecurrence({ frequency: 'annual', month: 3, dayRule: 'lastBusinessDay' })).toBe('Anual · mar · último dia útil');
+        expect(describeRecurrence({ frequency: 'monthly', dayRule: 'fixed', day: 20, adjustment: 'postpone' })).toBe('Mensal · dia 20 · prorroga se não útil');
+    });
+});
@@ -0,0 +1,52 @@
+// --- INSCRIÇÕES NOS ALERTAS POR E-MAIL ---
+// Fluxo com dupla confirmação: a inscrição nasce `pending`; o script
+// scripts/send-confirmations.js envia o link de confirmação e só depois dele o
+// inscrito passa a `confirmed` e recebe lembretes. O descadastro leva a
+// `unsubscribed`. Os tokens dos links são gerados e assinados no servidor;
+// firestore.rules só aceita as transições quando o token informado confere.
+
+export const SUBSCRIPTION_STATUSES = { pending: 'Aguardando confirmação', confirmed: 'Confirmado', unsubscribed: 'Descadastrado' };
+
+// Ao alterar o texto do consentimento, incremente a versão: cada inscrito
+// guarda a versão que aceitou.
+export const CONSENT_TEXT_VERSION = '2026-10-v1';
+export const CONSENT_TEXT = 'Autorizo o Calendário Fiscal a armazenar meu e-mail e minhas preferências para enviar lembretes de vencimentos. Posso cancelar a qualquer momento pelo link presente em cada e-mail.';
+
+export function normalizeEmail(email = '') {
+    return email.trim().toLowerCase();
+}
+
+// Mesmo critério do <input type="email"> (WHATWG), exigindo um ponto no domínio.
+const EMAIL_PATTERN = /^[a-z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?(?:\.[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?)+$/i;
+
+export function isValidEmail(email = '') {
+    return email.length <= 254 && EMAIL_PATTERN.test(email);
+}
+
+// O ID do documento é o SHA-256 do e-mail normalizado, para que o endereço
+// não apareça nos links de confirmação e descadastro.
+export async function getSubscriberId(email) {
+    const digest = await globalThis.crypto.subtle.digest('SHA-256', new TextEncoder().encode(normalizeEmail(email)));
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Parâmetros dos links enviados por e-mail: ?confirmar=<id>.<token> e ?descadastrar=<id>.<token>.
+export const SUBSCRIPTION_LINK_PARAMS = { confirm: 'confirmar', unsubscribe: 'descadastrar' };
+
+export function buildSubscriptionLink(siteUrl, action, subscriberId, token) {
+    const url = new URL(siteUrl);
+    url.searchParams.set(SUBSCRIPTION_LINK_PARAMS[action], `${subscriberId}.${token}`);
+    return url.toString();
+}
+
+export function parseSubscriptionLink(search) {
+    const params = new URLSearchParams(search);
+    for (const [action, param] of Object.entries(SUBSCRIPTION_LINK_PARAMS)) {
+        const value = params.get(param);
+        if (!value) { continue; }
+        const separator = value.indexOf('.');
+        if (separator <= 0) { return null; }
+        return { action, param, subscriberId: value.slice(0, separator), token: value.slice(separator + 1) };
+    }
+    return null;
+}
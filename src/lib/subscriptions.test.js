@@ -0,0 +1,24 @@
+import { describe, expect, it } from 'vitest';
+import { buildSubscriptionLink, getSubscriberId, isValidEmail, normalizeEmail, parseSubscriptionLink } from './subscriptions.js';
+
+describe('inscrições', () => {
+    it('normaliza e valida e-mails', () => {
+        expect(normalizeEmail('  Fulano@Exemplo.COM ')).toBe('fulano@exemplo.com');
+        expect(isValidEmail('fulano@exemplo.com')).toBe(true);
+        expect(isValidEmail('fulano@localhost')).toBe(false);
+    });
+
+    it('usa o SHA-256 do e-mail normalizado como ID', async () => {
+        const id = await getSubscriberId('Fulano@Exemplo.com');
+        expect(id).toMatch(/^[0-9a-f]{64}$/);
+        expect(await getSubscriberId('fulano@exemplo.com ')).toBe(id);
+    });
+
+    it('monta e lê os links de confirmação e descadastro', () => {
+        const link = buildSubscriptionLink('https://calendario.exemplo.com/?visao=mes', 'unsubscribe', 'abc', 'tok.en');
+        expect(link).toBe('https://calendario.exemplo.com/?visao=mes&descadastrar=abc.tok.en');
+        expect(parseSubscriptionLink(new URL(link).search)).toEqual({ action: 'unsubscribe', param: 'descadastrar', subscriberId: 'abc', token: 'tok.en' });
+        expect(parseSubscriptionLink('?confirmar=semtoken')).toBeNull();
+        expect(parseSubscriptionLink('?esfera=Federal')).toBeNull();
+    });
+});
@@ -0,0 +1,104 @@
+import { vi } from 'vitest';
+
+// --- DUBLÊS DO SDK DO FIREBASE PARA OS TESTES DE COMPONENTES ---
+// Registram os listeners (autenticação e onSnapshot) e as gravações, para que
+// o teste entregue usuários e retratos quando quiser e confira o que foi gravado.
+// Uso: vi.mock('firebase/firestore', async () => (await import('./test/firebase.js')).firestoreModule)
+
+export const firebaseState = {
+    currentUser: null,
+    authListeners: [],
+    snapshotListeners: [],
+    batches: [], // [{ operations: [{ type, path, data }] }] de cada lote gravado
+    getDocsResults: new Map(), // caminho da coleção → documentos devolvidos por getDocs
+    adminUids: new Set(),
+};
+
+export function resetFirebase() {
+    firebaseState.currentUser = null;
+    firebaseState.authListeners = [];
+    firebaseState.snapshotListeners = [];
+    firebaseState.batches = [];
+    firebaseState.getDocsResults = new Map();
+    firebaseState.adminUids = new Set();
+    vi.clearAllMocks();
+}
+
+export function createUser({ uid = 'admin-uid', email = 'admin@exemplo.com', isAnonymous = false, claims = {} } = {}) {
+    return { uid, email, isAnonymous, getIdTokenResult: async () => ({ claims }) };
+}
+
+// Entrega um usuário (ou null) a todos os listeners de onAuthStateChanged.
+export async function emitAuthState(user) {
+    firebaseState.currentUser = user;
+    await Promise.all(firebaseState.authListeners.map(listener => listener(user)));
+}
+
+function toSnapshot(docs, fromCache) {
+    return { docs: docs.map(({ id, ...data }) => ({ id, ref: { path: id }, data: () => data })), metadata: { fromCache } };
+}
+
+// Entrega um retrato aos listeners cuja coleção termina em `pathSuffix`.
+export function emitSnapshot(pathSuffix, docs, { fromCache = false } = {}) {
+    firebaseState.snapshotListeners.filter(listener => listener.path.endsWith(pathSuffix)).forEach(listener => listener.next(toSnapshot(docs, fromCache)));
+}
+
+export function emitSnapshotError(pathSuffix, error = Object.assign(new Error('Missing or insufficient permissions.'), { code: 'permission-denied' })) {
+    firebaseState.snapshotListeners.filter(listener => listener.path.endsWith(pathSuffix)).forEach(listener => listener.error?.(error));
+}
+
+let autoId = 0;
+
+export const appModule = {
+    initializeApp: vi.fn(() => ({ name: 'test' })),
+};
+
+const fakeAuth = { get currentUser() { return firebaseState.currentUser; } };
+
+export const authModule = {
+    getAuth: vi.fn(() => fakeAuth),
+    connectAuthEmulator: vi.fn(),
+    onAuthStateChanged: vi.fn((auth, listener) => {
+        firebaseState.authListeners.push(listener);
+        return () => { firebaseState.authListeners = firebaseState.authListeners.filter(l => l !== listener); };
+    }),
+    signInAnonymously: vi.fn(async () => ({ user: createUser({ uid: 'anonymous', email: null, isAnonymous: true }) })),
+    signInWithEmailAndPassword: vi.fn(),
+    signOut: vi.fn(async () => { firebaseState.currentUser = null; }),
+};
+
+export const SERVER_TIMESTAMP = { __serverTimestamp: true };
+
+export const firestoreModule = {
+    getFirestore: vi.fn(() => ({})),
+    connectFirestoreEmulator: vi.fn(),
+    serverTimestamp: vi.fn(() => SERVER_TIMESTAMP),
+    collection: vi.fn((db, path) => ({ path })),
+    // doc(db, caminho, id), doc(coleção, id) ou doc(coleção) com ID automático.
+    doc: vi.fn((parent, ...segments) => {
+        const basePath = parent.path ?? segments.shift();
+        const id = segments[0] ?? `auto-${++autoId}`;
+        return { path: `${basePath}/${id}`, id };
+    }),
+    query: vi.fn((ref, ...constraints) => ({ ...ref, constraints })),
+    where: vi.fn((field, op, value) => ({ field, op, value })),
+    onSnapshot: vi.fn((ref, ...args) => {
+        const [next, error] = typeof args[0] === 'function' ? args : args.slice(1);
+        const listener = { path: ref.path, next, error };
+        firebaseState.snapshotListeners.push(listener);
+        return () => { firebaseState.snapshotListeners = firebaseState.snapshotListeners.filter(l => l !== listener); };
+    }),
+    getDoc: vi.fn(async (ref) => ({ exists: () => ref.path.includes('/admins/') && firebaseState.adminUids.has(ref.id) })),
+    getDocs: vi.fn(async (ref) => toSnapshot(firebaseState.getDocsResults.get(ref.path) ?? [], false)),
+    setDoc: vi.fn(async () => {}),
+    updateDoc: vi.fn(async () => {}),
+    writeBatch: vi.fn(() => {
+        const batch = { operations: [] };
+        return {
+            set: (ref, data) => batch.operations.push({ type: 'set', path: ref.path, data }),
+            update: (ref, data) => batch.operations.push({ type: 'update', path: ref.path, data }),
+            delete: (ref) => batch.operations.push({ type: 'delete', path: ref.path }),
+            commit: async () => { firebaseState.batches.push(batch); },
+        };
+    }),
+};
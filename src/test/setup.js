@@ -0,0 +1,16 @@
+import '@testing-library/jest-dom/vitest';
+import { cleanup } from '@testing-library/react';
+import { afterEach } from 'vitest';
+
+// Variáveis globais que o ambiente de hospedagem injeta no App (ver App.jsx).
+globalThis.__firebase_config = JSON.stringify({ apiKey: 'test-api-key', projectId: 'demo-calendario-fiscal' });
+globalThis.__app_id = 'test-app';
+
+// APIs que o jsdom não implementa.
+window.scrollTo = () => {};
+window.alert = () => {};
+
+afterEach(() => {
+    cleanup();
+    window.history.replaceState(null, '', '/');
+});
@@ -7,5 +7,6 @@ export default {
   theme: {
     extend: {},
   },
+  darkMode: 'class',
   plugins: [],
 }
\ No newline at end of file
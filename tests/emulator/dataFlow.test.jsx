@@ -0,0 +1,90 @@
+// @vitest-environment jsdom
+import '@testing-library/jest-dom/vitest';
+import { readFileSync } from 'node:fs';
+import { initializeTestEnvironment } from '@firebase/rules-unit-testing';
+import { act, cleanup, render, screen, waitFor } from '@testing-library/react';
+import { getApp } from 'firebase/app';
+import { getAuth } from 'firebase/auth';
+import { disableNetwork, doc, enableNetwork, getFirestore, setDoc, updateDoc } from 'firebase/firestore';
+import { afterAll, afterEach, beforeAll, describe, expect, it, vi } from 'vitest';
+import { toISODate } from '../../src/lib/dates.js';
+
+// --- FLUXO DE DADOS DO APP CONTRA OS EMULADORES ---
+// O App de verdade, com o SDK do Firebase apontando para os emuladores de Auth
+// e Firestore (VITE_USE_FIREBASE_EMULATORS): login anônimo, assinatura das
+// obrigações com onSnapshot e o aviso de dados sem conexão.
+
+const APP_ID = 'test-app';
+const obligationsPath = `artifacts/${APP_ID}/public/data/obligations`;
+const WAIT = { timeout: 10000 };
+const today = toISODate(new Date());
+
+let testEnv;
+let App;
+
+async function seed(id, data) {
+    await testEnv.withSecurityRulesDisabled(context => setDoc(doc(context.firestore(), obligationsPath, id), data));
+}
+
+beforeAll(async () => {
+    testEnv = await initializeTestEnvironment({
+        projectId: 'demo-calendario-fiscal',
+        // No jsdom, import.meta.url não é um caminho de arquivo: lê a partir da raiz do projeto.
+        firestore: { rules: readFileSync('firestore.rules', 'utf8') },
+    });
+    // O App lê a configuração ao ser importado.
+    globalThis.__app_id = APP_ID;
+    vi.stubEnv('VITE_USE_FIREBASE_EMULATORS', 'true');
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    ({ default: App } = await import('../../src/App.jsx'));
+});
+
+afterEach(async () => {
+    cleanup();
+    await testEnv.clearFirestore();
+});
+
+afterAll(async () => {
+    await testEnv?.cleanup();
+    vi.unstubAllEnvs();
+    vi.restoreAllMocks();
+});
+
+describe('App com os emuladores', () => {
+    it('entra anonimamente e exibe as obrigações do Firestore, sem as da lixeira', async () => {
+        await seed('dctf', { title: 'DCTFWeb', sphere: 'Federal', date: today });
+        await seed('excluida', { title: 'Excluída', sphere: 'Federal', date: today, deletedAt: new Date() });
+        render(<App />);
+
+        expect(await screen.findByRole('button', { name: 'DCTFWeb' }, WAIT)).toBeInTheDocument();
+        expect(getAuth(getApp()).currentUser.isAnonymous).toBe(true);
+        expect(screen.queryByText('Excluída')).not.toBeInTheDocument();
+        expect(screen.queryByText('Modo de Demonstração')).not.toBeInTheDocument();
+    });
+
+    it('reflete as alterações gravadas no servidor', async () => {
+        await seed('dctf', { title: 'DCTFWeb', sphere: 'Federal', date: today });
+        render(<App />);
+        await screen.findByRole('button', { name: 'DCTFWeb' }, WAIT);
+
+        await testEnv.withSecurityRulesDisabled(context => updateDoc(doc(context.firestore(), obligationsPath, 'dctf'), { title: 'DCTFWeb Mensal' }));
+        expect(await screen.findByRole('button', { name: 'DCTFWeb Mensal' }, WAIT)).toBeInTheDocument();
+    });
+
+    it('sem conexão, mantém os últimos dados recebidos e avisa', async () => {
+        await seed('dctf', { title: 'DCTFWeb', sphere: 'Federal', date: today });
+        render(<App />);
+        await screen.findByRole('button', { name: 'DCTFWeb' }, WAIT);
+
+        const db = getFirestore(getApp());
+        await act(() => disableNetwork(db));
+        try {
+            expect(await screen.findByText(/sem conexão/, {}, WAIT)).toBeInTheDocument();
+            expect(screen.getByRole('button', { name: 'DCTFWeb' })).toBeInTheDocument();
+            expect(screen.queryByRole('button', { name: 'GPS' })).not.toBeInTheDocument();
+        } finally {
+            await act(() => enableNetwork(db));
+        }
+        await waitFor(() => expect(screen.queryByText(/sem conexão/)).not.toBeInTheDocument(), WAIT);
+    });
+});
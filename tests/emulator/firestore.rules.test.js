@@ -0,0 +1,138 @@
+import { readFileSync } from 'node:fs';
+import { assertFails, assertSucceeds, initializeTestEnvironment } from '@firebase/rules-unit-testing';
+import { collection, deleteDoc, doc, getDoc, serverTimestamp, setDoc, updateDoc, writeBatch } from 'firebase/firestore';
+import { afterAll, beforeAll, beforeEach, describe, it } from 'vitest';
+import { CONSENT_TEXT_VERSION, getSubscriberId } from '../../src/lib/subscriptions.js';
+
+// --- REGRAS DO FIRESTORE CONTRA O EMULADOR ---
+// Rodam com `npm run test:emulators`, que sobe o emulador do Firestore com
+// firebase.json e define FIRESTORE_EMULATOR_HOST.
+
+const APP_ID = 'test-app';
+const obligationsPath = `artifacts/${APP_ID}/public/data/obligations`;
+const auditLogPath = `artifacts/${APP_ID}/auditLog`;
+const subscribersPath = `artifacts/${APP_ID}/public/data/subscribers`;
+
+let testEnv;
+
+const adminDb = () => testEnv.authenticatedContext('admin', { email: 'admin@exemplo.com', admin: true }).firestore();
+const visitorDb = () => testEnv.authenticatedContext('visitante').firestore();
+
+// Mesmo formato de addAuditedWrite no App: obrigação e auditLog no mesmo lote.
+function auditedBatch(db, obligationId, changes, { action = 'create', uid = 'admin' } = {}) {
+    const batch = writeBatch(db);
+    const auditRef = doc(collection(db, auditLogPath));
+    const data = { ...changes, auditId: auditRef.id, updatedAt: serverTimestamp() };
+    const obligationRef = doc(db, obligationsPath, obligationId);
+    if (action === 'create') { batch.set(obligationRef, data); } else { batch.update(obligationRef, data); }
+    batch.set(auditRef, { obligationId, action, actor: { uid, email: 'admin@exemplo.com' }, before: null, after: changes, changedFields: [], at: serverTimestamp() });
+    return batch;
+}
+
+async function seed(path, data) {
+    await testEnv.withSecurityRulesDisabled(context => setDoc(doc(context.firestore(), path), data));
+}
+
+beforeAll(async () => {
+    testEnv = await initializeTestEnvironment({
+        projectId: 'demo-calendario-fiscal',
+        firestore: { rules: readFileSync(new URL('../../firestore.rules', import.meta.url), 'utf8') },
+    });
+});
+
+beforeEach(async () => {
+    await testEnv.clearFirestore();
+});
+
+afterAll(async () => {
+    await testEnv?.cleanup();
+});
+
+describe('obrigações', () => {
+    it('podem ser lidas sem login', async () => {
+        await seed(`${obligationsPath}/dctf`, { title: 'DCTFWeb', date: '2026-10-15' });
+        await assertSucceeds(getDoc(doc(testEnv.unauthenticatedContext().firestore(), obligationsPath, 'dctf')));
+    });
+
+    it('exigem administrador e entrada no auditLog para gravar', async () => {
+        const db = adminDb();
+        await assertFails(setDoc(doc(db, obligationsPath, 'sem-auditoria'), { title: 'DCTFWeb', updatedAt: serverTimestamp() }));
+        await assertFails(auditedBatch(visitorDb(), 'dctf', { title: 'DCTFWeb' }, { uid: 'visitante' }).commit());
+        await assertSucceeds(auditedBatch(db, 'dctf', { title: 'DCTFWeb' }).commit());
+        await assertSucceeds(auditedBatch(db, 'dctf', { deletedAt: serverTimestamp() }, { action: 'delete' }).commit());
+    });
+
+    it('não guardam quem fez a alteração, que fica só no auditLog', async () => {
+        const db = adminDb();
+        await assertFails(auditedBatch(db, 'dctf', { title: 'DCTFWeb', updatedBy: 'admin' }).commit());
+        await assertSucceeds(auditedBatch(db, 'dctf', { title: 'DCTFWeb' }).commit());
+        await assertFails(auditedBatch(db, 'dctf', { deletedAt: serverTimestamp(), deletedBy: 'admin@exemplo.com' }, { action: 'delete' }).commit());
+    });
+
+    it('aceitam administradores cadastrados em admins/{uid}', async () => {
+        await seed(`artifacts/${APP_ID}/admins/cadastrado`, {});
+        const db = testEnv.authenticatedContext('cadastrado').firestore();
+        await assertSucceeds(auditedBatch(db, 'dctf', { title: 'DCTFWeb' }, { uid: 'cadastrado' }).commit());
+    });
+
+    it('não podem ser apagadas de fato', async () => {
+        await seed(`${obligationsPath}/dctf`, { title: 'DCTFWeb' });
+        await assertFails(deleteDoc(doc(adminDb(), obligationsPath, 'dctf')));
+    });
+});
+
+describe('auditLog', () => {
+    it('não pode ser alterado nem apagado', async () => {
+        await seed(`${auditLogPath}/entrada`, { obligationId: 'dctf', action: 'create' });
+        const db = adminDb();
+        await assertSucceeds(getDoc(doc(db, auditLogPath, 'entrada')));
+        await assertFails(updateDoc(doc(db, auditLogPath, 'entrada'), { action: 'update' }));
+        await assertFails(deleteDoc(doc(db, auditLogPath, 'entrada')));
+        await assertFails(getDoc(doc(visitorDb(), auditLogPath, 'entrada')));
+    });
+});
+
+describe('inscrições', () => {
+    const subscription = () => ({
+        email: 'fulano@exemplo.com',
+        status: 'pending',
+        subscribedAt: serverTimestamp(),
+        consent: { acceptedAt: serverTimestamp(), textVersion: CONSENT_TEXT_VERSION },
+        daysInAdvance: 3,
+        spheres: ['Federal'],
+        confirmationSentAt: null,
+    });
+
+    it('só podem ser criadas como pendentes', async () => {
+        const db = visitorDb();
+        const id = await getSubscriberId('fulano@exemplo.com');
+        await assertFails(setDoc(doc(db, subscribersPath, id), { ...subscription(), status: 'confirmed' }));
+        await assertSucceeds(setDoc(doc(db, subscribersPath, id), subscription()));
+        await assertFails(getDoc(doc(db, subscribersPath, id)));
+    });
+
+    it('usam o SHA-256 do e-mail, em minúsculas, como id', async () => {
+        const db = visitorDb();
+        await assertFails(setDoc(doc(db, subscribersPath, 'id-qualquer'), subscription()));
+        await assertFails(setDoc(doc(db, subscribersPath, await getSubscriberId('beltrano@exemplo.com')), subscription()));
+        await assertFails(setDoc(doc(db, subscribersPath, await getSubscriberId('fulano@exemplo.com')), { ...subscription(), email: 'Fulano@Exemplo.com' }));
+    });
+
+    it('são confirmadas apenas com o token enviado por e-mail', async () => {
+        await seed(`${subscribersPath}/a`, { email: 'fulano@exemplo.com', status: 'pending', confirmationToken: 'token-certo' });
+        const ref = doc(visitorDb(), subscribersPath, 'a');
+        await assertFails(updateDoc(ref, { status: 'confirmed', confirmedAt: serverTimestamp(), confirmationProof: 'token-errado' }));
+        await assertSucceeds(updateDoc(ref, { status: 'confirmed', confirmedAt: serverTimestamp(), confirmationProof: 'token-certo' }));
+    });
+});
+
+describe('entregas', () => {
+    it('usam o id <cliente>_<obrigação>_<data> e uma situação válida', async () => {
+        const db = adminDb();
+        const filing = { clientId: 'padaria', obligationId: 'dctf', date: '2026-10-15', status: 'entregue' };
+        await assertSucceeds(setDoc(doc(db, `artifacts/${APP_ID}/filings/padaria_dctf_2026-10-15`), filing));
+        await assertFails(setDoc(doc(db, `artifacts/${APP_ID}/filings/outro-id`), filing));
+        await assertFails(setDoc(doc(db, `artifacts/${APP_ID}/filings/padaria_dctf_2026-10-15`), { ...filing, status: 'dispensado' }));
+        await assertFails(getDoc(doc(visitorDb(), `artifacts/${APP_ID}/filings/padaria_dctf_2026-10-15`)));
+    });
+});
@@ -1,7 +1,29 @@
+import { fileURLToPath } from 'node:url'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
 // https://vitejs.dev/config/
 export default defineConfig({
   plugins: [react()],
-})
\ No newline at end of file
+  build: {
+    // Lista dos arquivos do build, que o service worker (public/sw.js) guarda na instalação.
+    manifest: 'asset-manifest.json',
+    rollupOptions: {
+      // O app e o calendário incorporável (embed.html, usado por public/embed.js).
+      input: {
+        main: fileURLToPath(new URL('./index.html', import.meta.url)),
+        embed: fileURLToPath(new URL('./embed.html', import.meta.url)),
+      },
+    },
+  },
+  test: {
+    projects: [
+      // Funções puras de src/lib e dos scripts.
+      { extends: true, test: { name: 'unit', environment: 'node', include: ['src/**/*.test.js', 'scripts/**/*.test.js'] } },
+      // Componentes, com o SDK do Firebase substituído por dublês (src/test/firebase.js).
+      { extends: true, test: { name: 'components', environment: 'jsdom', include: ['src/**/*.test.jsx'], setupFiles: ['./src/test/setup.js'] } },
+      // Regras do Firestore e fluxo de dados do App contra os emuladores: rode com `npm run test:emulators`.
+      { extends: true, test: { name: 'emulator', environment: 'node', include: ['tests/emulator/**/*.test.{js,jsx}'], testTimeout: 20000 } },
+    ],
+  },
+})